@@ -0,0 +1,190 @@
+/*
+ * Command-line converter around loadshp.
+ *
+ * Usage :
+ *      shp2geojson input.zip -o out.geojson
+ *      shp2geojson input.zip --epsg 3857 --encoding big5 --pretty
+ *      shp2geojson input.zip --layer roads --ndjson > roads.ndjson
+ *
+ * Built to cli.js with `npm run build:cli`.
+ *
+ */
+
+import { once } from "node:events";
+import { open, rename, rm } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { Writable } from "node:stream";
+import {
+  loadshp,
+  registerEPSG,
+  ShpConfig,
+  WEB,
+  GEOGRAPHIC,
+  NATIONAL_GRIDS,
+  UTM,
+  ArchiveError,
+  ProjectionError,
+  InvalidShpHeaderError,
+} from "./preview";
+
+// Exit codes, one per error path callers may want to tell apart
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  ARCHIVE: 3, // unreadable input, missing .shp or .dbf, unknown layer
+  PROJECTION: 4, // Unsupported Projection
+  FILE_CODE: 5, // invalid .shp header: not a shapefile
+};
+
+const USAGE = `Usage: shp2geojson <input.zip> [options]
+
+Converts a zipped shapefile to GeoJSON, written to stdout unless -o is given.
+
+Options:
+  -o, --output <file>       Output file
+  --epsg <code>             Output CRS as an EPSG code (default 4326)
+  --source-crs <crs>        Source CRS, overriding the .prj: EPSG code,
+                            proj string or WKT
+  --encoding <label>        DBF text encoding (default from .cpg or header)
+  --layer <name>            Layer of a multi-layer zip: the .shp name without
+                            extension, or its path when names repeat
+  --pretty                  Indented output
+  --compact                 Single-line output (default)
+  --ndjson                  One feature per line instead of a collection
+  --allow-missing-dbf       Convert a .shp without .dbf to features with
+                            empty properties, with a warning
+  -h, --help                Show this help
+
+Exit codes:
+  0 success, 1 other error, 2 bad arguments, 3 unreadable input, missing
+  .shp/.dbf or layer, 4 unsupported projection, 5 not a shapefile
+`;
+
+// Maps the loader's error classes to exit codes
+function exitCode(error: unknown): number {
+  if (error instanceof ArchiveError) return EXIT.ARCHIVE;
+  if (error instanceof ProjectionError) return EXIT.PROJECTION;
+  if (error instanceof InvalidShpHeaderError) return EXIT.FILE_CODE;
+
+  return EXIT.ERROR;
+}
+
+async function write(output: Writable, chunk: string) {
+  if (!output.write(chunk)) await once(output, "drain");
+}
+
+async function main(argv: string[]): Promise<number> {
+  let args;
+
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: "string", short: "o" },
+        epsg: { type: "string" },
+        "source-crs": { type: "string" },
+        encoding: { type: "string" },
+        layer: { type: "string" },
+        pretty: { type: "boolean" },
+        compact: { type: "boolean" },
+        ndjson: { type: "boolean" },
+        "allow-missing-dbf": { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e: any) {
+    process.stderr.write(`shp2geojson: ${e.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  const { values, positionals } = args;
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT.OK;
+  }
+
+  const usageError = (message: string) => {
+    process.stderr.write(`shp2geojson: ${message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  };
+
+  if (positionals.length !== 1) {
+    return usageError("expected exactly one input file");
+  }
+  if (values.pretty && values.compact) {
+    return usageError("--pretty and --compact are exclusive");
+  }
+
+  const EPSG = values.epsg === undefined ? undefined : Number(values.epsg);
+  if (EPSG !== undefined && !Number.isInteger(EPSG)) {
+    return usageError(`invalid EPSG code: ${values.epsg}`);
+  }
+
+  const sourceCRS = values["source-crs"];
+  const config: ShpConfig = {
+    url: positionals[0],
+    EPSG,
+    // A bare number is an EPSG code, anything else a proj string or WKT
+    sourceCRS:
+      sourceCRS !== undefined && /^\d+$/.test(sourceCRS)
+        ? Number(sourceCRS)
+        : sourceCRS,
+    encoding: values.encoding,
+    layer: values.layer,
+    missingDbf: values["allow-missing-dbf"] ? "warn" : "error",
+  };
+
+  // Every bundled definition, so --epsg and .prj codes resolve offline
+  for (const defs of [WEB, GEOGRAPHIC, NATIONAL_GRIDS, UTM]) {
+    registerEPSG(defs);
+  }
+
+  // Written next to the output and renamed over it once complete, so that a
+  // failed conversion leaves an existing file untouched
+  const temp = values.output && `${values.output}.${process.pid}.tmp`;
+  let output: Writable = process.stdout;
+
+  try {
+    // Opened up front so that a bad path fails before the conversion
+    if (temp) output = (await open(temp, "wx")).createWriteStream();
+
+    const geojson = await loadshp(config);
+
+    for (const warning of geojson.warnings ?? []) {
+      process.stderr.write(`shp2geojson: warning: ${warning}\n`);
+    }
+
+    if (values.ndjson) {
+      for (const feature of geojson.features) {
+        await write(output, JSON.stringify(feature) + "\n");
+      }
+    } else {
+      const indent = values.pretty ? 2 : undefined;
+      await write(output, JSON.stringify(geojson, null, indent) + "\n");
+    }
+
+    if (temp) {
+      output.end();
+      await once(output, "close");
+      await rename(temp, values.output!);
+    }
+
+    return EXIT.OK;
+  } catch (e: any) {
+    process.stderr.write(`shp2geojson: ${e?.message ?? e}\n`);
+
+    if (temp) {
+      if (output !== process.stdout) output.destroy();
+      await rm(temp, { force: true });
+    }
+
+    return exitCode(e);
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
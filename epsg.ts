@@ -0,0 +1,122 @@
+/*
+ * Offline EPSG definitions for proj4, so projections resolve without fetching
+ * them from epsg.io at runtime.
+ *
+ * Definitions are grouped so bundlers can drop the ones you never import.
+ * Register a group (or your own definitions) before calling loadshp:
+ *
+ *      import { registerEPSG, NATIONAL_GRIDS } from "./epsg";
+ *
+ *      registerEPSG(NATIONAL_GRIDS);
+ *      registerEPSG({ 3826: "+proj=tmerc +lat_0=0 +lon_0=121 ..." });
+ *
+ */
+
+import proj4 from "proj4";
+
+// EPSG code → proj string or WKT
+export type EPSGDefinitions = Record<number, string>;
+
+// Builds the definitions of UTM zone ranges, each given as
+// [first EPSG code, first zone, last zone, datum parameters].
+function utmZones(
+  ranges: [number, number, number, string][]
+): EPSGDefinitions {
+  const defs: EPSGDefinitions = {};
+
+  for (const [firstCode, firstZone, lastZone, params] of ranges) {
+    for (let zone = firstZone; zone <= lastZone; zone++) {
+      defs[firstCode + zone - firstZone] =
+        `+proj=utm +zone=${zone} ${params} +units=m +no_defs`;
+    }
+  }
+
+  return defs;
+}
+
+export const WEB: EPSGDefinitions = {
+  3857: "+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs",
+  3395: "+proj=merc +lon_0=0 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs",
+};
+
+export const GEOGRAPHIC: EPSGDefinitions = {
+  4258: "+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs", // ETRS89
+  4269: "+proj=longlat +datum=NAD83 +no_defs", // NAD83
+  4283: "+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs", // GDA94
+  7844: "+proj=longlat +ellps=GRS80 +no_defs", // GDA2020
+  4490: "+proj=longlat +ellps=GRS80 +no_defs", // CGCS2000
+  4612: "+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs", // JGD2000
+  6668: "+proj=longlat +ellps=GRS80 +no_defs", // JGD2011
+  3821: "+proj=longlat +ellps=aust_SA +towgs84=-752,-358,-179,-0.0000011698,0.0000018398,0.0000009822,0.00002329 +no_defs", // TWD67
+  3824: "+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs", // TWD97
+};
+
+export const NATIONAL_GRIDS: EPSGDefinitions = {
+  // British National Grid
+  27700: "+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs",
+  // RGF93 / Lambert-93 (France)
+  2154: "+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  // Amersfoort / RD New (Netherlands)
+  28992: "+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.4171,50.3319,465.5524,1.9342,-1.6677,9.1019,4.0725 +units=m +no_defs",
+  // Belge 1972 / Belgian Lambert 72
+  31370: "+proj=lcc +lat_0=90 +lon_0=4.36748666666667 +lat_1=51.1666672333333 +lat_2=49.8333339 +x_0=150000.013 +y_0=5400088.438 +ellps=intl +towgs84=-106.8686,52.2978,-103.7239,0.3366,-0.457,1.8422,-1.2747 +units=m +no_defs",
+  // CH1903+ / LV95 and CH1903 / LV03 (Switzerland)
+  2056: "+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs",
+  21781: "+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=600000 +y_0=200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs",
+  // DHDN / 3-degree Gauss-Kruger zone 3 (Germany)
+  31467: "+proj=tmerc +lat_0=0 +lon_0=9 +k=1 +x_0=3500000 +y_0=0 +ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs",
+  // ETRS89 / LAEA Europe
+  3035: "+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  // SWEREF99 TM (Sweden) and ETRS89 / TM35FIN (Finland)
+  3006: "+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  3067: "+proj=utm +zone=35 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  // ETRS89 / Poland CS92
+  2180: "+proj=tmerc +lat_0=0 +lon_0=19 +k=0.9993 +x_0=500000 +y_0=-5300000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  // GGRS87 / Greek Grid
+  2100: "+proj=tmerc +lat_0=0 +lon_0=24 +k=0.9996 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=-199.87,74.79,246.62,0,0,0,0 +units=m +no_defs",
+  // Israel 1993 / Israeli TM Grid
+  2039: "+proj=tmerc +lat_0=31.7343936111111 +lon_0=35.2045169444444 +k=1.0000067 +x_0=219529.584 +y_0=626907.39 +ellps=GRS80 +towgs84=-24.0024,-17.1032,-17.8444,-0.33077,-1.85269,1.66969,5.4248 +units=m +no_defs",
+  // TWD97 / TM2 zones 119 and 121, TWD67 / TM2 zone 121 (Taiwan)
+  3825: "+proj=tmerc +lat_0=0 +lon_0=119 +k=0.9999 +x_0=250000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  3826: "+proj=tmerc +lat_0=0 +lon_0=121 +k=0.9999 +x_0=250000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  3828: "+proj=tmerc +lat_0=0 +lon_0=121 +k=0.9999 +x_0=250000 +y_0=0 +ellps=aust_SA +towgs84=-752,-358,-179,-0.0000011698,0.0000018398,0.0000009822,0.00002329 +units=m +no_defs",
+  // Korea 2000 / Unified CS
+  5179: "+proj=tmerc +lat_0=38 +lon_0=127.5 +k=0.9996 +x_0=1000000 +y_0=2000000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  // SVY21 / Singapore TM
+  3414: "+proj=tmerc +lat_0=1.36666666666667 +lon_0=103.833333333333 +k=1 +x_0=28001.642 +y_0=38744.572 +ellps=WGS84 +units=m +no_defs",
+  // NZGD2000 / New Zealand Transverse Mercator 2000
+  2193: "+proj=tmerc +lat_0=0 +lon_0=173 +k=0.9996 +x_0=1600000 +y_0=10000000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  // GDA94 / Australian Albers
+  3577: "+proj=aea +lat_0=0 +lon_0=132 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  // NAD83 / Conus Albers
+  5070: "+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs",
+};
+
+export const UTM: EPSGDefinitions = /* @__PURE__ */ utmZones([
+  // WGS 84 / UTM north and south
+  [32601, 1, 60, "+datum=WGS84"],
+  [32701, 1, 60, "+south +datum=WGS84"],
+  // ETRS89 / UTM zones 28N to 38N
+  [25828, 28, 38, "+ellps=GRS80 +towgs84=0,0,0,0,0,0,0"],
+  // NAD83 / UTM zones 1N to 23N
+  [26901, 1, 23, "+datum=NAD83"],
+  // GDA94 / MGA zones 48 to 58 and GDA2020 / MGA zones 46 to 59
+  [28348, 48, 58, "+south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0"],
+  [7846, 46, 59, "+south +ellps=GRS80"],
+]);
+
+// Everything passed to registerEPSG, so it can be replayed in a worker
+const registered: EPSGDefinitions = {};
+
+// Adds definitions to proj4 so that "EPSG:<code>" resolves offline. Later
+// registrations replace earlier ones for the same code.
+export function registerEPSG(defs: EPSGDefinitions) {
+  for (const [code, def] of Object.entries(defs)) {
+    proj4.defs(`EPSG:${code}`, def);
+    registered[Number(code)] = def;
+  }
+}
+
+export function registeredEPSG(): EPSGDefinitions {
+  return { ...registered };
+}
@@ -0,0 +1,124 @@
+/*
+ * Errors thrown while reading and writing shapefiles. Each carries a code
+ * for programs, and where known, the file, record and byte offset at fault:
+ *
+ *      try {
+ *          await loadshp({ url });
+ *      } catch (e) {
+ *          if (e instanceof ShpError) showError(e.code, e.file, e.record);
+ *      }
+ *
+ */
+
+export type ShpErrorCode =
+  | "INVALID_SHP_HEADER"
+  | "INVALID_SHP_RECORD"
+  | "UNSUPPORTED_SHAPE_TYPE"
+  | "PROJECTION"
+  | "ARCHIVE"
+  | "DBF_DECODE"
+  | "JOIN_MISMATCH";
+
+export type ShpErrorDetails = {
+  // Name or URL of the file at fault
+  file?: string;
+  // 1-based record number, as in the .shp
+  record?: number;
+  // Byte offset in the file
+  offset?: number;
+  cause?: unknown;
+};
+
+// Base class of every error below; also thrown as is for corrupt records and
+// attribute join mismatches.
+export class ShpError extends Error {
+  code: ShpErrorCode;
+  file?: string;
+  record?: number;
+  offset?: number;
+
+  constructor(
+    code: ShpErrorCode,
+    message: string,
+    { cause, ...details }: ShpErrorDetails = {}
+  ) {
+    super(message, cause === undefined ? undefined : { cause });
+
+    // Set by hand: bundlers may rename the classes
+    this.name = "ShpError";
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// The .shp or .shx header is not a shapefile header
+export class InvalidShpHeaderError extends ShpError {
+  constructor(message: string, details?: ShpErrorDetails) {
+    super("INVALID_SHP_HEADER", message, details);
+    this.name = "InvalidShpHeaderError";
+  }
+}
+
+// A shape or geometry type that cannot be read or written
+export class UnsupportedShapeTypeError extends ShpError {
+  constructor(message: string, details?: ShpErrorDetails) {
+    super("UNSUPPORTED_SHAPE_TYPE", message, details);
+    this.name = "UnsupportedShapeTypeError";
+  }
+}
+
+// A source or output CRS proj4 cannot resolve
+export class ProjectionError extends ShpError {
+  constructor(message: string, details?: ShpErrorDetails) {
+    super("PROJECTION", message, details);
+    this.name = "ProjectionError";
+  }
+}
+
+// The input cannot be loaded or unzipped, or lacks the files of a layer
+export class ArchiveError extends ShpError {
+  constructor(message: string, details?: ShpErrorDetails) {
+    super("ARCHIVE", message, details);
+    this.name = "ArchiveError";
+  }
+}
+
+// The .dbf header or text cannot be decoded
+export class DbfDecodeError extends ShpError {
+  constructor(message: string, details?: ShpErrorDetails) {
+    super("DBF_DECODE", message, details);
+    this.name = "DbfDecodeError";
+  }
+}
+
+const ERROR_CLASSES: Record<string, typeof InvalidShpHeaderError> = {
+  InvalidShpHeaderError,
+  UnsupportedShapeTypeError,
+  ProjectionError,
+  ArchiveError,
+  DbfDecodeError,
+};
+
+// Plain-object form of an error, to post it from a worker
+export type SerializedError = {
+  name: string;
+  message: string;
+  code?: ShpErrorCode;
+} & Omit<ShpErrorDetails, "cause">;
+
+export function serializeError(e: any): SerializedError {
+  const { name = "Error", message = String(e), code, file, record, offset } =
+    e ?? {};
+
+  return { name, message, code, file, record, offset };
+}
+
+// Rebuilds an error of the original class from serializeError
+export function deserializeError(data: SerializedError): Error {
+  const { name, message, code, ...details } = data;
+
+  if (ERROR_CLASSES[name]) return new ERROR_CLASSES[name](message, details);
+  if (code) return new ShpError(code, message, details);
+
+  return new Error(message);
+}
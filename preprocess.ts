@@ -8,6 +8,14 @@
  *
  */
 
+import {
+  ArchiveError,
+  DbfDecodeError,
+  InvalidShpHeaderError,
+  ShpError,
+  UnsupportedShapeTypeError,
+} from "./errors";
+
 // Shapefile parser, following the specification at
 // http://www.esri.com/library/whitepapers/pdfs/shapefile.pdf
 enum SHP {
@@ -16,35 +24,80 @@ enum SHP {
   POLYLINE = 3,
   POLYGON = 5,
   MULTIPOINT = 8,
+  POINTZ = 11,
+  POLYLINEZ = 13,
+  POLYGONZ = 15,
+  MULTIPOINTZ = 18,
+  POINTM = 21,
+  POLYLINEM = 23,
+  POLYGONM = 25,
+  MULTIPOINTM = 28,
+  MULTIPATCH = 31,
 }
 
-export enum NotSupportedShapeType {
-  PointZ = 11,
-  PolylineZ = 13,
-  PolygonZ = 15,
-  MultiPointZ = 18,
-  PointM = 21,
-  PolylineM = 23,
-  PolygonM = 25,
-  MultiPointM = 28,
-  MultiPatch = 31,
+// Part types of a MultiPatch record
+export enum MultiPatchPart {
+  TriangleStrip = 0,
+  TriangleFan = 1,
+  OuterRing = 2,
+  InnerRing = 3,
+  FirstRing = 4,
+  Ring = 5,
 }
+
+// Measures below this value mean "no data" in the shapefile spec
+const NO_DATA_MEASURE = -1e38;
+
+type SHPMultiContent = {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+  parts: Int32Array;
+  points: Float64Array;
+};
+
+type SHPZContent = {
+  minZ: number;
+  maxZ: number;
+  z: Float64Array;
+};
+
+// The M block is optional even on measured types, so it may be absent.
+// "No data" measures are stored as NaN.
+type SHPMContent = {
+  minM?: number;
+  maxM?: number;
+  m?: Float64Array;
+};
+
 type SHPShape =
   | { type: typeof SHP.NULL; content: undefined }
   | { type: typeof SHP.POINT; content: { x: number; y: number } }
+  | {
+      type: typeof SHP.POINTZ;
+      content: { x: number; y: number; z: number; m?: number };
+    }
+  | { type: typeof SHP.POINTM; content: { x: number; y: number; m?: number } }
   | {
       type: typeof SHP.POLYLINE | typeof SHP.POLYGON | typeof SHP.MULTIPOINT;
-      content: {
-        minX: number;
-        minY: number;
-        maxX: number;
-        maxY: number;
-        parts: Int32Array;
-        points: Float64Array;
-      };
+      content: SHPMultiContent;
+    }
+  | {
+      type: typeof SHP.POLYLINEZ | typeof SHP.POLYGONZ | typeof SHP.MULTIPOINTZ;
+      content: SHPMultiContent & SHPZContent & SHPMContent;
+    }
+  | {
+      type: typeof SHP.POLYLINEM | typeof SHP.POLYGONM | typeof SHP.MULTIPOINTM;
+      content: SHPMultiContent & SHPMContent;
+    }
+  | {
+      type: typeof SHP.MULTIPATCH;
+      content: SHPMultiContent & { partTypes: Int32Array } & SHPZContent &
+        SHPMContent;
     };
 
-type SHPRecord = {
+export type SHPRecord = {
   number: number;
   length: number;
   shape: SHPShape;
@@ -68,6 +121,13 @@ export type SHPFile = {
   records: SHPRecord[];
 };
 
+// Record index from a .shx file: byte offset of each record header in the
+// .shp and the content length in 16-bit words
+export type SHXFile = Omit<SHPFile, "records"> & {
+  offsets: Int32Array;
+  lengths: Int32Array;
+};
+
 export type DBFFile = {
   fileName: string;
   version: number;
@@ -81,43 +141,208 @@ export type DBFFile = {
   encryptionFlag: number;
   mdxFlag: number;
   languageDriverId: number;
+  encoding: string;
   fields: DBFField[];
   fieldpos: number;
-  records: any[];
+  records: Record<string, DBFValue>[];
+  // Deletion flag of each record, parallel to records
+  deleted: boolean[];
+};
+
+export type DBFValue = string | number | boolean | null;
+
+// Field types stored as raw bytes rather than text. "B" is binary only in
+// Visual FoxPro, where it is 8 bytes wide; dBase uses it for memo numbers.
+const BINARY_FIELD_TYPES = ["I", "O", "@", "T"];
+
+function isBinaryField(field: DBFField): boolean {
+  return (
+    BINARY_FIELD_TYPES.includes(field.type) ||
+    (field.type === "B" && field.fieldLength === 8)
+  );
+}
+
+// Language driver IDs (header byte 29) and the code pages they stand for,
+// following the table used by ESRI and GDAL
+const LANGUAGE_DRIVER_CODE_PAGES: Record<number, number> = {
+  0x03: 1252,
+  0x04: 10000,
+  0x13: 932,
+  0x26: 866,
+  0x4d: 936,
+  0x4e: 949,
+  0x4f: 950,
+  0x50: 874,
+  0x57: 1252,
+  0x58: 1252,
+  0x59: 1252,
+  0x65: 866,
+  0x78: 950,
+  0x79: 949,
+  0x7a: 936,
+  0x7b: 932,
+  0x7c: 874,
+  0x7d: 1255,
+  0x7e: 1256,
+  0x96: 10007,
+  0xc8: 1250,
+  0xc9: 1251,
+  0xca: 1254,
+  0xcb: 1253,
+  0xcc: 1257,
 };
 
+// Code pages whose TextDecoder label is not derived from the number itself
+const CODE_PAGE_ENCODINGS: Record<number, string> = {
+  866: "ibm866",
+  932: "shift_jis",
+  936: "gbk",
+  949: "euc-kr",
+  950: "big5",
+  10000: "macintosh",
+  10007: "x-mac-cyrillic",
+  65001: "utf-8",
+};
+
+function encodingFromCodePage(codePage: number): string | undefined {
+  if (CODE_PAGE_ENCODINGS[codePage]) return CODE_PAGE_ENCODINGS[codePage];
+  if (codePage === 874 || (codePage >= 1250 && codePage <= 1258)) {
+    return `windows-${codePage}`;
+  }
+  // "88591" style ISO-8859 numbers
+  if (codePage >= 88591 && codePage <= 885916) {
+    return supportedEncoding(`iso-8859-${String(codePage).slice(4)}`);
+  }
+  return undefined;
+}
+
+function supportedEncoding(label: string): string | undefined {
+  try {
+    return new TextDecoder(label).encoding;
+  } catch {
+    return undefined;
+  }
+}
+
+// Julian day number of 1970-01-01
+const JULIAN_UNIX_EPOCH = 2440588;
+
+export type DBFRow = { record: Record<string, DBFValue>; deleted: boolean };
+
 type DBFField = {
   name: string;
   type: string;
   fieldLength: number;
+  decimalCount: number;
   workAreaId: number;
   setFieldFlag: number;
   indexFieldFlag: number;
 };
 
+// Reads exact byte counts from a stream, pulling chunks only as they are
+// needed so the producer is never read ahead of the consumer.
+class ByteStream {
+  private reader: ReadableStreamDefaultReader<Uint8Array>;
+  private chunks: Uint8Array[] = [];
+  private buffered = 0;
+  private done = false;
+
+  constructor(stream: ReadableStream<Uint8Array>) {
+    this.reader = stream.getReader();
+  }
+
+  // Resolves with the next `length` bytes, or fewer if the stream ends first
+  async read(length: number): Promise<Uint8Array> {
+    while (this.buffered < length && !this.done) {
+      const { value, done } = await this.reader.read();
+
+      if (done) {
+        this.done = true;
+      } else if (value.length > 0) {
+        this.chunks.push(value);
+        this.buffered += value.length;
+      }
+    }
+
+    const bytes = new Uint8Array(Math.min(length, this.buffered));
+
+    for (let offset = 0; offset < bytes.length; ) {
+      const chunk = this.chunks[0];
+      const take = Math.min(chunk.length, bytes.length - offset);
+
+      bytes.set(chunk.subarray(0, take), offset);
+      offset += take;
+
+      if (take === chunk.length) this.chunks.shift();
+      else this.chunks[0] = chunk.subarray(take);
+    }
+
+    this.buffered -= bytes.length;
+    return bytes;
+  }
+
+  // Stops the underlying stream; safe to call once it has ended
+  async cancel() {
+    this.chunks = [];
+    this.buffered = 0;
+    await this.reader.cancel();
+  }
+}
+
 class SHPParser {
+  // Fetches and parses a .shp; already loaded bytes go straight to parse
   static async load(url: string) {
+    let arrayBuffer: ArrayBuffer;
+
     try {
       const response = await fetch(url);
-      const arrayBuffer = await response.arrayBuffer();
-      const parsed = SHPParser.parse(arrayBuffer, url);
-
-      URL.revokeObjectURL(url);
-      return parsed;
+      arrayBuffer = await response.arrayBuffer();
     } catch (error: any) {
-      URL.revokeObjectURL(url); // Ensure cleanup even on error
-      throw new Error(`Failed to load SHP:\n  ↳ ${error.message}`);
+      throw new ArchiveError(`Failed to load SHP:\n  ↳ ${error.message}`, {
+        file: url,
+        cause: error,
+      });
     }
+
+    return SHPParser.parse(arrayBuffer, url);
   }
 
   static parse(arrayBuffer: ArrayBuffer, url: string): SHPFile {
     const dv = new DataView(arrayBuffer);
+    const shpFile = this.parseHeader(dv, url);
+    let idx = 100;
+
+    // ─── Parse Records ──────────────────────────────────────────
+    while (idx < shpFile.byteLength) {
+      this.recordLength(dv, idx, url, shpFile.records.length + 1);
+
+      const record = this.parseRecord(dv, idx, url);
+      idx += 8 + record.length * 2;
+
+      shpFile.records.push(record);
+    }
+
+    return shpFile;
+  }
+
+  // Reads the 100-byte header shared by .shp and .shx files
+  static parseHeader(dv: DataView, url: string): SHPFile {
     let idx = 0;
 
+    if (dv.byteLength < 100) {
+      throw new InvalidShpHeaderError(
+        `Truncated header: ${dv.byteLength} bytes`,
+        { file: url, offset: dv.byteLength }
+      );
+    }
+
     // ─── File Header ─────────────────────────────────────────────
     const fileCode = dv.getInt32(idx, false);
     if (fileCode !== 0x0000270a) {
-      throw new Error(`Unknown file code: ${fileCode}`);
+      throw new InvalidShpHeaderError(`Unknown file code: ${fileCode}`, {
+        file: url,
+        offset: 0,
+      });
     }
 
     idx += 24; // Skip unused bytes (5 ints)
@@ -141,10 +366,8 @@ class SHPParser {
     const minM = dv.getFloat64(idx + 48, true);
     const maxM = dv.getFloat64(idx + 56, true);
 
-    idx += 64; // Move past bounding box (8 floats × 8 bytes)
-
     // ─── Initialize SHPFile ─────────────────────────────────────
-    const shpFile: SHPFile = {
+    return {
       fileName: url,
       fileCode,
       wordLength,
@@ -161,35 +384,79 @@ class SHPParser {
       maxM,
       records: [],
     };
+  }
 
-    // ─── Parse Records ──────────────────────────────────────────
-    while (idx < byteLength) {
-      const number = dv.getInt32(idx, false);
-      idx += 4;
+  // Content length in words of the record whose header starts at idx,
+  // checked before moving on: a bad length would loop or read past the end.
+  // `record` is the position of the record, for the error.
+  static recordLength(
+    dv: DataView,
+    idx: number,
+    file: string,
+    record: number
+  ): number {
+    const length = idx + 8 <= dv.byteLength ? dv.getInt32(idx + 4, false) : 0;
+
+    if (length <= 0 || idx + 8 + length * 2 > dv.byteLength) {
+      throw new ShpError(
+        "INVALID_SHP_RECORD",
+        `Invalid record length at ${idx}: ${length}`,
+        { file, record, offset: idx }
+      );
+    }
 
-      const length = dv.getInt32(idx, false);
-      idx += 4;
+    return length;
+  }
 
-      let shape: SHPShape;
-      try {
-        shape = this.parseShape(dv, idx, length);
-      } catch (e: any) {
-        throw new Error(`Shape parsing error: ${e.message} (record ${number})`);
-      }
+  // Reads the record whose header starts at byte offset idx. Errors carry
+  // the record number, and the file when given.
+  static parseRecord(dv: DataView, idx: number, file?: string): SHPRecord {
+    const start = idx;
+
+    if (idx + 8 > dv.byteLength) {
+      throw new ShpError(
+        "INVALID_SHP_RECORD",
+        `Truncated record header at ${idx}`,
+        { file, offset: idx }
+      );
+    }
+
+    const number = dv.getInt32(idx, false);
+    idx += 4;
 
-      idx += length * 2;
+    const length = dv.getInt32(idx, false);
+    idx += 4;
 
-      shpFile.records.push({
-        number,
-        length,
-        shape,
-      });
+    let shape: SHPShape;
+    try {
+      shape = this.parseShape(dv, idx, length);
+    } catch (e: any) {
+      const message = `Shape parsing error: ${e.message} (record ${number})`;
+
+      // Out-of-range reads and the like: the record itself is corrupt
+      const error =
+        e instanceof ShpError
+          ? e
+          : new ShpError("INVALID_SHP_RECORD", message, {
+              offset: start,
+              cause: e,
+            });
+
+      error.message = message;
+      error.record = number;
+      error.file ??= file;
+      throw error;
     }
 
-    return shpFile;
+    return {
+      number,
+      length,
+      shape,
+    };
   }
 
   static parseShape(dv: DataView, idx: number, length: number): SHPShape {
+    const end = idx + length * 2;
     const shapeType = dv.getInt32(idx, true);
     idx += 4;
 
@@ -209,56 +476,276 @@ class SHPParser {
           },
         };
 
+      case SHP.POINTZ:
+        return {
+          type: SHP.POINTZ,
+          content: {
+            x: dv.getFloat64(idx, true),
+            y: dv.getFloat64(idx + 8, true),
+            z: dv.getFloat64(idx + 16, true),
+            m: idx + 32 <= end ? this.readMeasure(dv, idx + 24) : undefined,
+          },
+        };
+
+      case SHP.POINTM:
+        return {
+          type: SHP.POINTM,
+          content: {
+            x: dv.getFloat64(idx, true),
+            y: dv.getFloat64(idx + 8, true),
+            m: idx + 24 <= end ? this.readMeasure(dv, idx + 16) : undefined,
+          },
+        };
+
       case SHP.MULTIPOINT:
       case SHP.POLYLINE:
-      case SHP.POLYGON: {
-        const minX = dv.getFloat64(idx, true);
-        const minY = dv.getFloat64(idx + 8, true);
-        const maxX = dv.getFloat64(idx + 16, true);
-        const maxY = dv.getFloat64(idx + 24, true);
-        const partCount = dv.getInt32(idx + 32, true);
-        const pointCount = dv.getInt32(idx + 36, true);
+      case SHP.POLYGON:
+        return {
+          type: shapeType, // safe because shapeType is narrowed to POLYLINE, POLYGON or MULTIPOINT
+          content: this.parseMulti(dv, idx, shapeType === SHP.MULTIPOINT),
+        };
 
-        idx += 40;
+      case SHP.MULTIPOINTZ:
+      case SHP.POLYLINEZ:
+      case SHP.POLYGONZ: {
+        const isMultiPoint = shapeType === SHP.MULTIPOINTZ;
+        const content = this.parseMulti(dv, idx, isMultiPoint);
 
-        const parts = new Int32Array(partCount);
-        for (let i = 0; i < partCount; i++) {
-          parts[i] = dv.getInt32(idx, true);
-          idx += 4;
-        }
+        // Z range and Z array follow the X/Y points
+        idx += this.multiByteLength(content, isMultiPoint);
+        const pointCount = content.points.length / 2;
+        const zContent = this.parseZ(dv, idx, pointCount);
+        idx += 16 + pointCount * 8;
 
-        const points = new Float64Array(pointCount * 2);
-        for (let i = 0; i < points.length; i++) {
-          points[i] = dv.getFloat64(idx, true);
-          idx += 8;
-        }
+        return {
+          type: shapeType,
+          content: {
+            ...content,
+            ...zContent,
+            ...this.parseMeasures(dv, idx, end, pointCount),
+          },
+        };
+      }
+
+      case SHP.MULTIPOINTM:
+      case SHP.POLYLINEM:
+      case SHP.POLYGONM: {
+        const isMultiPoint = shapeType === SHP.MULTIPOINTM;
+        const content = this.parseMulti(dv, idx, isMultiPoint);
+
+        // M range and M array follow the X/Y points
+        idx += this.multiByteLength(content, isMultiPoint);
+        const pointCount = content.points.length / 2;
 
         return {
-          type: shapeType, // safe because shapeType is narrowed to POLYLINE or POLYGON
-          content: { minX, minY, maxX, maxY, parts, points },
+          type: shapeType,
+          content: {
+            ...content,
+            ...this.parseMeasures(dv, idx, end, pointCount),
+          },
         };
       }
 
-      // Unsupported shape types from the enum
-      case NotSupportedShapeType.PointZ:
-      case NotSupportedShapeType.PolylineZ:
-      case NotSupportedShapeType.PolygonZ:
-      case NotSupportedShapeType.MultiPointZ:
-      case NotSupportedShapeType.PointM:
-      case NotSupportedShapeType.PolylineM:
-      case NotSupportedShapeType.PolygonM:
-      case NotSupportedShapeType.MultiPointM:
-      case NotSupportedShapeType.MultiPatch:
-        throw new Error(
-          `Shape type not supported: ${shapeType} (${
-            NotSupportedShapeType[shapeType] ?? "Unknown"
-          })`
-        );
+      case SHP.MULTIPATCH: {
+        const content = this.parseMulti(dv, idx, false, true);
+
+        idx += this.multiByteLength(content, false) + content.parts.length * 4;
+        const pointCount = content.points.length / 2;
+        const zContent = this.parseZ(dv, idx, pointCount);
+        idx += 16 + pointCount * 8;
+
+        return {
+          type: SHP.MULTIPATCH,
+          content: {
+            ...content,
+            partTypes: content.partTypes!,
+            ...zContent,
+            ...this.parseMeasures(dv, idx, end, pointCount),
+          },
+        };
+      }
 
       default:
-        throw new Error(`Unknown shape type at ${idx - 4}: ${shapeType}\n`);
+        throw new UnsupportedShapeTypeError(
+          `Unknown shape type at ${idx - 4}: ${shapeType}\n`,
+          { offset: idx - 4 }
+        );
     }
   }
+
+  // Reads the bounding box, parts and X/Y points shared by the multi-point
+  // shape types. MultiPoint records have no parts, so a single part is implied;
+  // MultiPatch records carry a part type array between parts and points.
+  static parseMulti(
+    dv: DataView,
+    idx: number,
+    isMultiPoint: boolean,
+    hasPartTypes = false
+  ): SHPMultiContent & { partTypes?: Int32Array } {
+    const minX = dv.getFloat64(idx, true);
+    const minY = dv.getFloat64(idx + 8, true);
+    const maxX = dv.getFloat64(idx + 16, true);
+    const maxY = dv.getFloat64(idx + 24, true);
+    idx += 32;
+
+    let parts: Int32Array;
+    let partTypes: Int32Array | undefined;
+    let pointCount: number;
+
+    if (isMultiPoint) {
+      pointCount = dv.getInt32(idx, true);
+      parts = new Int32Array([0]);
+      idx += 4;
+    } else {
+      const partCount = dv.getInt32(idx, true);
+      pointCount = dv.getInt32(idx + 4, true);
+      idx += 8;
+
+      parts = new Int32Array(partCount);
+      for (let i = 0; i < partCount; i++) {
+        parts[i] = dv.getInt32(idx, true);
+        idx += 4;
+      }
+
+      if (hasPartTypes) {
+        partTypes = new Int32Array(partCount);
+        for (let i = 0; i < partCount; i++) {
+          partTypes[i] = dv.getInt32(idx, true);
+          idx += 4;
+        }
+      }
+    }
+
+    const points = new Float64Array(pointCount * 2);
+    for (let i = 0; i < points.length; i++) {
+      points[i] = dv.getFloat64(idx, true);
+      idx += 8;
+    }
+
+    return { minX, minY, maxX, maxY, parts, partTypes, points };
+  }
+
+  static parseZ(dv: DataView, idx: number, pointCount: number): SHPZContent {
+    const minZ = dv.getFloat64(idx, true);
+    const maxZ = dv.getFloat64(idx + 8, true);
+    idx += 16;
+
+    const z = new Float64Array(pointCount);
+    for (let i = 0; i < pointCount; i++) {
+      z[i] = dv.getFloat64(idx, true);
+      idx += 8;
+    }
+
+    return { minZ, maxZ, z };
+  }
+
+  // Reads the optional M range and M array. Writers may leave the block out,
+  // so it is only read when the record is long enough to hold it.
+  static parseMeasures(
+    dv: DataView,
+    idx: number,
+    end: number,
+    pointCount: number
+  ): SHPMContent {
+    if (idx + 16 + pointCount * 8 > end) return {};
+
+    const minM = this.readMeasure(dv, idx);
+    const maxM = this.readMeasure(dv, idx + 8);
+    idx += 16;
+
+    const m = new Float64Array(pointCount);
+    for (let i = 0; i < pointCount; i++) {
+      m[i] = this.readMeasure(dv, idx);
+      idx += 8;
+    }
+
+    return { minM, maxM, m };
+  }
+
+  static readMeasure(dv: DataView, idx: number): number {
+    const value = dv.getFloat64(idx, true);
+    return value < NO_DATA_MEASURE ? NaN : value;
+  }
+
+  // Byte length of the content read by parseMulti, used to locate the
+  // Z and M blocks that follow it.
+  static multiByteLength(
+    content: SHPMultiContent,
+    isMultiPoint: boolean
+  ): number {
+    const header = isMultiPoint ? 36 : 40 + content.parts.length * 4;
+    return header + content.points.length * 8;
+  }
+}
+
+class SHXParser {
+  static parse(arrayBuffer: ArrayBuffer, url: string): SHXFile {
+    const dv = new DataView(arrayBuffer);
+    const { records, ...header } = SHPParser.parseHeader(dv, url);
+
+    if (header.byteLength > dv.byteLength) {
+      throw new InvalidShpHeaderError(
+        `Truncated SHX: header declares ${header.byteLength} bytes, ` +
+          `file has ${dv.byteLength}`,
+        { file: url, offset: 24 }
+      );
+    }
+
+    // Each index record is an offset and a content length, both big-endian
+    // and in 16-bit words. A trailing partial record is ignored.
+    const count = Math.max(0, Math.floor((header.byteLength - 100) / 8));
+    const offsets = new Int32Array(count);
+    const lengths = new Int32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      offsets[i] = dv.getInt32(100 + i * 8, false) * 2;
+      lengths[i] = dv.getInt32(100 + i * 8 + 4, false);
+    }
+
+    return { ...header, offsets, lengths };
+  }
+
+  // Checks that every index entry points at a whole record of a .shp of
+  // shpLength bytes, since the .shx is only read, not checked, by parse
+  static check(shx: SHXFile, shpLength: number) {
+    const { offsets, lengths } = shx;
+
+    for (let i = 0; i < offsets.length; i++) {
+      const end = offsets[i] + 8 + lengths[i] * 2;
+
+      if (offsets[i] < 100 || lengths[i] <= 0 || end > shpLength) {
+        throw new ShpError(
+          "INVALID_SHP_RECORD",
+          `Index entry out of the .shp: offset ${offsets[i]}, ` +
+            `length ${lengths[i]}`,
+          { file: shx.fileName, record: i + 1, offset: 100 + i * 8 }
+        );
+      }
+    }
+  }
+
+  // Builds the same index from the record headers of a .shp when the archive
+  // has no .shx. Only the 8-byte headers are read, no geometry is decoded.
+  static fromSHP(arrayBuffer: ArrayBuffer, url: string): SHXFile {
+    const dv = new DataView(arrayBuffer);
+    const { records, ...header } = SHPParser.parseHeader(dv, url);
+    const offsets: number[] = [];
+    const lengths: number[] = [];
+
+    for (let idx = 100; idx < header.byteLength; ) {
+      const length = SHPParser.recordLength(dv, idx, url, offsets.length + 1);
+
+      offsets.push(idx);
+      lengths.push(length);
+      idx += 8 + length * 2;
+    }
+
+    return {
+      ...header,
+      offsets: Int32Array.from(offsets),
+      lengths: Int32Array.from(lengths),
+    };
+  }
 }
 
 /**
@@ -270,47 +757,58 @@ class SHPParser {
 // Creates global namespace.
 
 class DBFParser {
-  static async load(url: string, encoding: string): Promise<DBFFile> {
+  static async load(url: string, encoding?: string): Promise<DBFFile> {
+    let binaryData: ArrayBuffer;
+
     try {
       // Fetch binary data
       const binaryResponse = await fetch(url);
       if (!binaryResponse.ok) {
-        throw new Error(`Failed to load binary data from ${url}`);
+        throw new Error(`HTTP ${binaryResponse.status}`);
       }
-      const binaryData = await binaryResponse.arrayBuffer();
-
-      // Fetch text data with specific encoding
-      const textResponse = await fetch(url, {
-        headers: {
-          Accept: "text/plain",
-        },
-      });
-
-      const decoder = new TextDecoder(encoding);
-      const textBuffer = await textResponse.arrayBuffer();
-      const textData = decoder.decode(textBuffer);
-
-      // Parse DBF file using parser
-      const parsed = DBFParser.parse(binaryData, url, textData, encoding);
-
-      URL.revokeObjectURL(url);
-
-      return parsed;
-    } catch (error) {
-      console.error("Error loading DBF file:", error);
-      throw error;
+      binaryData = await binaryResponse.arrayBuffer();
+    } catch (error: any) {
+      throw new ArchiveError(
+        `Failed to load binary data from ${url}:\n  ↳ ${error.message}`,
+        { file: url, cause: error }
+      );
     }
+
+    // Parse DBF file using parser
+    return DBFParser.parse(binaryData, url, encoding);
   }
 
   static parse(
     arrayBuffer: ArrayBuffer,
     src: string,
-    response: string,
-    encoding: string
+    encoding?: string
   ): DBFFile {
     const dv = new DataView(arrayBuffer);
+    const dbf = this.parseHeader(dv, src, encoding);
+    const decoder = new TextDecoder(dbf.encoding);
+
+    // ─── Parse Records ───────────────────────────────────────
+    for (let i = 0; ; i++) {
+      const row = this.parseRecord(dv, dbf, i, decoder);
+      if (!row) break;
+
+      dbf.records.push(row.record);
+      dbf.deleted.push(row.deleted);
+    }
+
+    return dbf;
+  }
+
+  // Reads the header and field descriptors, leaving records empty
+  static parseHeader(dv: DataView, src: string, encoding?: string): DBFFile {
     let idx = 0;
-    let offset = /big5/i.test(encoding) ? 2 : 3;
+
+    if (dv.byteLength < 32) {
+      throw new DbfDecodeError(`Truncated DBF header: ${dv.byteLength} bytes`, {
+        file: src,
+        offset: dv.byteLength,
+      });
+    }
 
     // ─── Initialize DBF Header ──────────────────────────────
     const dbf: DBFFile = {
@@ -326,9 +824,11 @@ class DBFParser {
       encryptionFlag: 0,
       mdxFlag: 0,
       languageDriverId: 0,
+      encoding: "",
       fields: [],
       fieldpos: 0,
       records: [],
+      deleted: [],
     };
 
     idx++;
@@ -337,9 +837,9 @@ class DBFParser {
     dbf.day = dv.getUint8(idx++);
     dbf.numberOfRecords = dv.getInt32(idx, true);
     idx += 4;
-    dbf.bytesInHeader = dv.getInt16(idx, true);
+    dbf.bytesInHeader = dv.getUint16(idx, true);
     idx += 2;
-    dbf.bytesInRecord = dv.getInt16(idx, true);
+    dbf.bytesInRecord = dv.getUint16(idx, true);
     idx += 2;
 
     idx += 2; // reserved
@@ -351,65 +851,47 @@ class DBFParser {
     dbf.languageDriverId = dv.getUint8(idx++);
     idx += 2; // reserved
 
-    // ─── Prepare Response Header (Field Names) ───────────────
-    const responseParts = response.split("\r");
-    let responseHeader = "";
-
-    if (responseParts.length > 2) {
-      responseParts.pop();
-      responseHeader = responseParts.join("\r").slice(32);
-    } else {
-      responseHeader = responseParts[0].slice(32);
-      offset = 2;
-    }
-
-    // ─── Parse Field Names from Header ───────────────────────
-    const charString: string[] = [];
-    while (responseHeader.length > 0) {
-      let z = 0;
-      let count = 0;
-
-      while (count < 10) {
-        try {
-          const enc = encodeURIComponent(responseHeader[z]);
-          const match = enc.match(/%[A-F\d]{2}/g);
-          count += match && match.length > 1 ? offset : 1;
-          z++;
-        } catch {
-          count++;
-          z++;
-        }
-      }
+    // Without an explicit encoding, trust the language driver ID
+    dbf.encoding =
+      encoding ??
+      DBFParser.encodingFromLanguageDriver(dbf.languageDriverId) ??
+      "utf-8";
 
-      charString.push(responseHeader.slice(0, 10).replace(/\0/g, ""));
-      responseHeader = responseHeader.slice(32);
+    let decoder: TextDecoder;
+    try {
+      decoder = new TextDecoder(dbf.encoding);
+    } catch (e) {
+      throw new DbfDecodeError(`Unsupported DBF encoding: ${dbf.encoding}`, {
+        file: src,
+        cause: e,
+      });
     }
 
     // ─── Parse Field Metadata ────────────────────────────────
-    let nameIndex = 0;
-
-    while (true) {
-      const nameArray: string[] = [];
-
-      for (let i = 0; i < 10; i++) {
-        const byte = dv.getUint8(idx++);
-        if (byte !== 0) nameArray.push(String.fromCharCode(byte));
+    while (idx >= dv.byteLength || dv.getUint8(idx) !== 0x0d) {
+      // Each descriptor is 32 bytes, and the terminator must follow them
+      if (idx + 32 >= dv.byteLength) {
+        throw new DbfDecodeError("Missing DBF field terminator", {
+          file: src,
+          offset: idx,
+        });
       }
 
       const field: DBFField = {
-        name: charString[nameIndex++],
+        name: this.decodeBytes(decoder, dv, idx, 11),
         type: "",
         fieldLength: 0,
+        decimalCount: 0,
         workAreaId: 0,
         setFieldFlag: 0,
         indexFieldFlag: 0,
       };
 
-      idx++; // Reserved
+      idx += 11; // Name
       field.type = String.fromCharCode(dv.getUint8(idx++));
       idx += 4; // Field data address
       field.fieldLength = dv.getUint8(idx++);
-      idx++; // Decimal count
+      field.decimalCount = dv.getUint8(idx++);
       idx += 2; // Reserved
       field.workAreaId = dv.getUint8(idx++);
       idx += 2; // Reserved
@@ -418,55 +900,181 @@ class DBFParser {
       field.indexFieldFlag = dv.getUint8(idx++);
 
       dbf.fields.push(field);
-
-      // 0x0D indicates end of field descriptor
-      if (dv.getUint8(idx) === 0x0d) break;
     }
 
     idx++; // Skip field terminator
     dbf.fieldpos = idx;
 
-    // ─── Parse Records ───────────────────────────────────────
-    const responseTextRaw = response.split("\r").at(-1) || "";
-    let responseText = responseTextRaw;
-
-    for (let i = 0; i < dbf.numberOfRecords; i++) {
-      responseText = responseText.slice(1); // Skip deletion flag
-      const record: Record<string, string | number> = {};
-
-      for (const field of dbf.fields) {
-        let z = 0;
-        let count = 0;
-
-        while (count < field.fieldLength) {
-          try {
-            const enc = encodeURIComponent(responseHeader[z]);
-            const match = enc.match(/%[A-F\d]{2}/g);
-            count += match && match.length > 1 ? offset : 1;
-            z++;
-          } catch {
-            count++;
-            z++;
-          }
-        }
+    // Deletion flag and fields must fit the record length, which is how
+    // records are located and read
+    const fieldBytes = dbf.fields.reduce((sum, f) => sum + f.fieldLength, 1);
+    if (dbf.fields.length > 0 && fieldBytes > dbf.bytesInRecord) {
+      throw new DbfDecodeError(
+        `Fields span ${fieldBytes} bytes, records ${dbf.bytesInRecord}`,
+        { file: src, offset: 10 }
+      );
+    }
 
-        const rawValue = responseText.slice(0, z).replace(/\0/g, "").trim();
-        responseText = responseText.slice(z);
+    return dbf;
+  }
 
-        // Detect and convert scientific notation numbers
-        if (/^\d\.\d{11}e\+\d{3}$/i.test(rawValue)) {
-          record[field.name] = parseFloat(rawValue);
-        } else {
-          record[field.name] = rawValue;
-        }
+  // Reads record `index` straight from its byte offset. Records start at
+  // bytesInHeader, which also covers the Visual FoxPro backlink that may
+  // follow the field terminator. The bytes win over the header count:
+  // undefined is returned at the 0x1A end-of-file marker or a truncated
+  // record, and records past the count are read while they look valid.
+  static parseRecord(
+    dv: DataView,
+    dbf: DBFFile,
+    index: number,
+    decoder = new TextDecoder(dbf.encoding)
+  ): DBFRow | undefined {
+    const idx = dbf.bytesInHeader + index * dbf.bytesInRecord;
+
+    if (index < 0 || dbf.bytesInRecord <= 0) return undefined;
+    if (idx + dbf.bytesInRecord > dv.byteLength) return undefined;
+
+    return this.decodeRecord(
+      dv,
+      idx,
+      dbf,
+      index >= dbf.numberOfRecords,
+      decoder
+    );
+  }
+
+  // Decodes the complete record at byte offset idx. Past the header count,
+  // only bytes that start like a record are accepted.
+  static decodeRecord(
+    dv: DataView,
+    idx: number,
+    dbf: DBFFile,
+    pastCount: boolean,
+    decoder = new TextDecoder(dbf.encoding)
+  ): DBFRow | undefined {
+    const flag = dv.getUint8(idx++);
+
+    if (flag === 0x1a) return undefined;
+    if (pastCount && flag !== 0x20 && flag !== 0x2a) return undefined;
+
+    const record: Record<string, DBFValue> = {};
+
+    for (const field of dbf.fields) {
+      record[field.name] = isBinaryField(field)
+        ? this.decodeBinary(field, dv, idx)
+        : this.decodeText(
+            field,
+            this.decodeBytes(decoder, dv, idx, field.fieldLength)
+          );
+      idx += field.fieldLength;
+    }
+
+    return { record, deleted: flag === 0x2a }; // "*" marks a deleted record
+  }
+
+  // Decodes a byte range on its own, dropping NUL padding
+  static decodeBytes(
+    decoder: TextDecoder,
+    dv: DataView,
+    idx: number,
+    length: number
+  ): string {
+    return decoder
+      .decode(new Uint8Array(dv.buffer, dv.byteOffset + idx, length))
+      .replace(/\0[\s\S]*$/, "")
+      .trim();
+  }
+
+  // Maps the contents of a .cpg sidecar ("UTF-8", "1252", "CP936", ...) to a
+  // TextDecoder label, or undefined when it names nothing decodable.
+  static encodingFromCpg(cpg: string): string | undefined {
+    const label = cpg.trim().toLowerCase();
+    if (!label) return undefined;
+
+    const iso = label.match(/^(?:iso)?[-_ ]?8859[-_ ]?(\d{1,2})$/);
+    if (iso) return supportedEncoding(`iso-8859-${iso[1]}`);
+
+    const codePage = label.match(/^(?:cp|ansi|windows|oem)?[-_ ]?(\d+)$/);
+    if (codePage) return encodingFromCodePage(Number(codePage[1]));
+
+    return supportedEncoding(label);
+  }
+
+  static encodingFromLanguageDriver(id: number): string | undefined {
+    const codePage = LANGUAGE_DRIVER_CODE_PAGES[id];
+    return codePage === undefined ? undefined : encodingFromCodePage(codePage);
+  }
+
+  // Converts the trimmed text of a field by its type. Blank or unreadable
+  // values become null; unknown types stay strings.
+  static decodeText(field: DBFField, value: string): DBFValue {
+    switch (field.type) {
+      case "N":
+      case "F": {
+        const number = Number(value);
+        if (value === "" || Number.isNaN(number)) return null;
+
+        return field.decimalCount > 0
+          ? Number(number.toFixed(field.decimalCount))
+          : number;
+      }
+
+      case "L":
+        if (/^[TtYy]$/.test(value)) return true;
+        if (/^[FfNn]$/.test(value)) return false;
+        return null; // "?" or blank
+
+      case "D": {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (!match || /^0+$/.test(value)) return null;
+        return `${match[1]}-${match[2]}-${match[3]}`;
       }
 
-      dbf.records.push(record);
+      default:
+        return value;
     }
+  }
 
-    return dbf;
+  // Visual FoxPro and dBase 7 binary columns
+  static decodeBinary(field: DBFField, dv: DataView, idx: number): DBFValue {
+    switch (field.type) {
+      case "I":
+        return dv.getInt32(idx, true);
+
+      case "B":
+        return dv.getFloat64(idx, true);
+
+      case "O": {
+        // dBase 7 doubles are big-endian with the sign bit flipped for
+        // positive values and every bit flipped for negative ones
+        const bytes = new Uint8Array(8);
+        for (let i = 0; i < 8; i++) bytes[i] = dv.getUint8(idx + i);
+
+        if (bytes[0] & 0x80) bytes[0] ^= 0x80;
+        else for (let i = 0; i < 8; i++) bytes[i] = ~bytes[i];
+
+        return new DataView(bytes.buffer).getFloat64(0, false);
+      }
+
+      case "@":
+      case "T": {
+        // Julian day number and milliseconds since midnight
+        const day = dv.getInt32(idx, true);
+        const ms = dv.getInt32(idx + 4, true);
+        if (day === 0 && ms === 0) return null;
+
+        const date = new Date((day - JULIAN_UNIX_EPOCH) * 86400000 + ms);
+        // Outside the range of Date: a corrupt cell
+        if (Number.isNaN(date.getTime())) return null;
+
+        return date.toISOString();
+      }
+
+      default:
+        return null;
+    }
   }
 }
 
 // Export the classes as a module
-export { SHPParser, DBFParser };
+export { SHP, ByteStream, SHPParser, SHXParser, DBFParser };
@@ -1,233 +1,1648 @@
 /*
- * predefined [EPSG:3821] projection
- * Please make sure your desired projection can find on http://epsg.io/
+ * Projections other than WGS84 and Web Mercator must be known to proj4:
+ * register them from the bundled offline definitions in ./epsg, or your own,
+ * with registerEPSG before loading.
  *
  * Usage :
  *      loadshp({
- *          url: '/shp/test.zip', // path or your upload file
- *          encoding: 'big5' // default utf-8
+ *          url: '/shp/test.zip', // URL, upload file, bytes or a path in Node
+ *          encoding: 'big5' // default from .cpg or the DBF header, else utf-8
  *          EPSG: 3826 // default 4326
  *      }, function(geojson) {
  *          // geojson returned
  *      });
  *
+ *      // Every layer of a multi-layer archive, by layer name
+ *      const layers = await loadshpLayers({ url: '/shp/city.zip' });
+ *      layers.get('roads');
+ *
+ *      // Off the main thread, receiving features in batches (see ./worker)
+ *      loadshp({ url: '/shp/test.zip', worker, onFeatures: (features) => {} });
+ *
+ *      // Back to a zipped shapefile, one layer per geometry type
+ *      const zip = await geojsonToShapefile(geojson, { name: 'parcels' });
+ *      const blob = new Blob([zip], { type: 'application/zip' });
+ *
+ *      // Random access through the .shx index, decoding only what is read
+ *      const reader = await openshp({ url: '/shp/test.zip' });
+ *      reader.getFeature(40000);
+ *      reader.getFeatures(40000, 40050);
+ *
+ *      // Streaming, one record at a time from the .shp and .dbf streams
+ *      for await (const feature of readShapefile({ shp, dbf, prj })) {
+ *          // ...
+ *      }
+ *
  * Created by Gipong <sheu781230@gmail.com>
  *
  */
 
-import { SHPParser, DBFParser } from "./preprocess";
+import {
+  SHP,
+  ByteStream,
+  SHPParser,
+  SHXParser,
+  DBFParser,
+  MultiPatchPart,
+} from "./preprocess";
 import proj4 from "proj4";
-import * as JSZip from "jszip";
-import JSZipUtils from "jszip-utils";
-import { SHPFile, DBFFile } from "./preprocess";
-import { Feature, FeatureCollection, GeoJsonObject, Position } from "geojson";
+import JSZip from "jszip";
+import {
+  SHPFile,
+  SHPRecord,
+  DBFFile,
+  DBFRow,
+  DBFValue,
+} from "./preprocess";
+import {
+  Feature,
+  FeatureCollection,
+  GeoJsonObject,
+  Geometry,
+  Position,
+} from "geojson";
+import { registeredEPSG } from "./epsg";
+import {
+  ArchiveError,
+  DbfDecodeError,
+  deserializeError,
+  InvalidShpHeaderError,
+  ProjectionError,
+  ShpError,
+  UnsupportedShapeTypeError,
+} from "./errors";
+import { unpackFeatures, WorkerRequest, WorkerResponse } from "./transfer";
+import { SHPWriter, DBFWriter, SHPWriteShape } from "./writer";
 
-const EPSG4326 = proj4("EPSG:4326");
+export {
+  registerEPSG,
+  WEB,
+  GEOGRAPHIC,
+  NATIONAL_GRIDS,
+  UTM,
+} from "./epsg";
+export type { EPSGDefinitions } from "./epsg";
+export {
+  ShpError,
+  InvalidShpHeaderError,
+  UnsupportedShapeTypeError,
+  ProjectionError,
+  ArchiveError,
+  DbfDecodeError,
+} from "./errors";
+export type { ShpErrorCode, ShpErrorDetails } from "./errors";
 
-type GlobalShp = {
-  shp: SHPFile | null;
-  dbf: DBFFile | null;
-};
+// A zipped shapefile: a URL, a File or Blob, its bytes (ArrayBuffer,
+// Uint8Array or Node Buffer), or in Node a filesystem path or file: URL
+export type ShpSource = string | Blob | ArrayBuffer | Uint8Array;
 
-let inputData: GlobalShp = {
-  shp: null,
-  dbf: null,
+// Loose files of one shapefile, each given like a zip in ShpSource
+export type ShpFiles = {
+  shp: ShpSource;
+  dbf?: ShpSource;
+  shx?: ShpSource;
+  prj?: ShpSource;
+  cpg?: ShpSource;
 };
 
-let EPSGUser: proj4.Converter;
-
 export interface ShpConfig {
-  url: string | File;
+  // A zipped shapefile, loose files dropped from a folder (FileList or
+  // File[], paired by name like the files of a zip) or a ShpFiles object
+  url: ShpSource | ShpFiles | FileList | File[];
+  // DBF text encoding; detected from the .cpg or the DBF header when omitted
   encoding?: string;
   EPSG?: number;
+  // CRS of the source coordinates, overriding the archive's .prj: an EPSG
+  // code, a registered proj4 name, a proj string or WKT
+  sourceCRS?: number | string;
+  // Where M values of measured shapes go: "property" puts them in a
+  // `measures` member on each feature mirroring the coordinates, "coordinate"
+  // appends them as a fourth position element after Z. M-only shapes, and
+  // shapes with "no data" measures, keep the `measures` member either way,
+  // since positions must be numbers. "No data" measures are null there.
+  measures?: "property" | "coordinate";
+  // Rewind polygon rings to the RFC 7946 order (exterior counter-clockwise,
+  // holes clockwise) and close unclosed rings. Defaults to true.
+  rfc7946?: boolean;
+  // Records marked deleted in the .dbf: "skip" drops their features (the
+  // default), "flag" keeps them with `deleted: true` on the feature.
+  deletedRecords?: "skip" | "flag";
+  // Shapes are joined to DBF rows by their record number. "lenient" (the
+  // default) reports mismatches in `joinReport`, "strict" throws on them.
+  join?: "lenient" | "strict";
+  // Layer to read from an archive holding several shapefiles: the .shp file
+  // name without its extension, or its path in the archive when several
+  // share that name. Defaults to the first .shp.
+  layer?: string;
+  // Without a .dbf: "error" (the default) rejects the input, "warn" loads the
+  // geometry with empty properties and notes it in `warnings`.
+  missingDbf?: "error" | "warn";
+  // Called with each warning as it is raised. The only way readShapefile
+  // reports them; loadshp and openshp also collect them in `warnings`.
+  onWarning?: (warning: string) => void;
+  // loadshp only: called with each batch of features as it is converted,
+  // for progressive rendering. The resolved collection still has them all.
+  onFeatures?: (features: ShpFeature[]) => void;
+  // Features per onFeatures batch. Defaults to 1000.
+  chunkSize?: number;
+  // loadshp only: runs the whole pipeline in this worker, which must load
+  // ./worker. Projections registered with registerEPSG are passed along.
+  worker?: Worker;
 }
 
-export async function loadshp(config: ShpConfig): Promise<FeatureCollection> {
-  const { url, encoding = "utf-8", EPSG = 4326 } = config;
+export type Measures = number | null | Measures[];
 
-  // await loadEPSG(epsgUrl);
+// Source part of a MultiPatch feature: its part type and the [start, end)
+// range of the MultiPolygon polygons built from it. Inner rings point at the
+// polygon they were attached to as a hole.
+export type Patch = {
+  type: keyof typeof MultiPatchPart;
+  polygons: [number, number];
+};
 
-  // if (EPSG === 3821) {
-  //   proj4.defs(
-  //     "EPSG:3821",
-  //     "+proj=tmerc +ellps=GRS67 +towgs84=-752,-358,-179,-.0000011698,.0000018398,.0000009822,.00002329 +lat_0=0 +lon_0=121 +x_0=250000 +y_0=0 +k=0.9999 +units=m +no_defs"
-  //   );
-  // }
+// Null shapes have a null geometry
+export type ShpFeature = Feature<Geometry | null> & {
+  measures?: Measures;
+  patches?: Patch[];
+  deleted?: boolean;
+};
 
-  proj4.defs("EPSG:4326", "+proj=longlat +datum=WGS84 +no_defs +type=crs");
-  EPSGUser = proj4(`EPSG:4326`);
+// Named CRS member (GeoJSON 2008) added when the output is not WGS84
+export type ShpCRS = { type: "name"; properties: { name: string } };
 
-  let zip: JSZip;
+// Record numbers (1-based, as in the .shp) that could not be joined
+export type JoinReport = {
+  shapesWithoutAttributes: number[];
+  attributesWithoutShapes: number[];
+};
 
-  if (typeof url !== "string") {
-    // File input
-    const arrayBuffer = await readFileAsArrayBuffer(url);
-    zip = await JSZip.loadAsync(arrayBuffer);
-  } else {
-    // URL input
-    const data = await getBinaryContentAsync(url);
-    zip = await JSZip.loadAsync(data);
-  }
+export type ShpFeatureCollection = FeatureCollection<Geometry | null> & {
+  crs?: ShpCRS;
+  joinReport?: JoinReport;
+  // Problems that did not stop the load
+  warnings?: string[];
+};
+
+// Random access to the features of a shapefile, backed by its .shx index
+export interface ShpReader {
+  // Number of records in the index
+  count: number;
+  // Problems that did not stop the file from opening
+  warnings: string[];
+  // Feature of record `index`, or undefined when it is out of range or a
+  // skipped deleted record
+  getFeature(index: number): ShpFeature | undefined;
+  // Features of records [start, end)
+  getFeatures(start: number, end: number): ShpFeature[];
+}
+
+// Input of readShapefile: the .shp and .dbf as byte streams, and the
+// contents of the optional .prj and .cpg sidecars. The .dbf may only be left
+// out with the missingDbf: "warn" option.
+export type ShpStreamSource = {
+  shp: ReadableStream<Uint8Array>;
+  dbf?: ReadableStream<Uint8Array>;
+  prj?: string;
+  cpg?: string;
+};
+
+export type ShapefileOptions = {
+  // File name of the layer in the zip, without extension. Collections with
+  // several geometry types get one layer each, suffixed with the type.
+  name?: string;
+  // CRS to write, as an EPSG code; the GeoJSON coordinates are WGS84 and get
+  // reprojected. Defaults to 4326.
+  EPSG?: number;
+  // Contents of the .prj (ESRI WKT). Built in for EPSG:4326; for other codes
+  // the .prj is only written when given.
+  prj?: string;
+};
+
+// Per-call conversion settings shared by toGeojson and toFeature
+type GeojsonOptions = {
+  EPSG: number;
+  projection: proj4.Converter;
+  measures: "property" | "coordinate";
+  rfc7946: boolean;
+  deletedRecords: "skip" | "flag";
+  join: "lenient" | "strict";
+};
+
+type Archive = {
+  shp: ArrayBuffer;
+  shx?: ArrayBuffer;
+  shpName: string;
+  shxName?: string;
+  // Absent in geometry-only mode
+  dbf?: ArrayBuffer;
+  dbfName?: string;
+  encoding?: string;
+  options: GeojsonOptions;
+  warnings: string[];
+};
+
+export async function loadshp(
+  config: ShpConfig
+): Promise<ShpFeatureCollection> {
+  if (config.worker) return loadInWorker(config, config.worker);
+
+  return archiveToGeojson(await openArchive(config), config);
+}
 
-  const shpFile = zip.file(/\.shp$/i)?.[0];
-  const dbfFile = zip.file(/\.dbf$/i)?.[0];
-  const prjFile = zip.file(/\.prj$/i)?.[0];
+// Loads every layer of a multi-layer archive, keyed by layer name (see the
+// layer option). The layer option itself is ignored.
+export async function loadshpLayers(
+  config: Omit<ShpConfig, "layer" | "worker">
+): Promise<Map<string, ShpFeatureCollection>> {
+  const { layers, origin } = await openLayers(config.url);
 
-  if (!shpFile || !dbfFile) {
-    throw new Error(" ↳ Missing .shp or .dbf file in the ZIP archive.");
+  if (layers.length === 0) {
+    throw new ArchiveError(` ↳ Missing .shp or .dbf file in ${origin}.`);
   }
 
-  if (prjFile) {
-    const prjText = await prjFile.async("string");
-    proj4.defs("EPSGUSER", prjText);
+  const collections = new Map<string, ShpFeatureCollection>();
 
-    try {
-      EPSGUser = proj4("EPSGUSER");
-    } catch (e: any) {
-      throw new Error(`Unsupported Projection:\n↳ ${e.message}`);
-    }
+  for (const layer of layers) {
+    const archive = await readLayer(layer, origin, config);
+    collections.set(layer.name, archiveToGeojson(archive, config));
   }
 
-  const shpBuffer = await zip.file(shpFile.name)!.async("arraybuffer");
-  const shp = await SHPParser.load(URL.createObjectURL(new Blob([shpBuffer])));
+  return collections;
+}
+
+function archiveToGeojson(
+  archive: Archive,
+  config: Omit<ShpConfig, "url">
+): ShpFeatureCollection {
+  const { dbf, dbfName = "", encoding, warnings } = archive;
 
-  const dbfBuffer = await zip.file(dbfFile.name)!.async("arraybuffer");
-  const dbf = await DBFParser.load(
-    URL.createObjectURL(new Blob([dbfBuffer])),
-    encoding
+  const geojson = toGeojson(
+    {
+      shp: SHPParser.parse(archive.shp, archive.shpName),
+      dbf: dbf && DBFParser.parse(dbf, dbfName, encoding),
+      ...archive.options,
+    },
+    config.onFeatures,
+    config.chunkSize
   );
 
-  return toGeojson({ shp, dbf });
+  if (warnings.length > 0) geojson.warnings = warnings;
+
+  return geojson;
 }
 
-function readFileAsArrayBuffer(file: File): Promise<ArrayBuffer> {
+// Ids that tell apart concurrent loads sharing a worker
+let workerRequests = 0;
+
+// Hands loadshp over to a worker and rebuilds the features from the
+// transferred coordinate buffers as each batch arrives.
+function loadInWorker(
+  config: ShpConfig,
+  worker: Worker
+): Promise<ShpFeatureCollection> {
+  const { worker: _, onFeatures, onWarning, ...workerConfig } = config;
+  const id = ++workerRequests;
+  const features: ShpFeature[] = [];
+
   return new Promise((resolve, reject) => {
-    const reader = new FileReader();
+    const finish = () => {
+      worker.removeEventListener("message", onMessage);
+      worker.removeEventListener("error", onError);
+    };
+
+    const onMessage = ({ data }: MessageEvent<WorkerResponse>) => {
+      if (data.id !== id) return;
+
+      switch (data.type) {
+        case "features": {
+          const batch = unpackFeatures(data.packed);
+          for (const feature of batch) features.push(feature);
+          onFeatures?.(batch);
+          break;
+        }
+        case "done":
+          finish();
+          data.collection.features = features;
+          data.collection.warnings?.forEach((warning) => onWarning?.(warning));
+          resolve(data.collection);
+          break;
+        case "error":
+          finish();
+          reject(deserializeError(data.error));
+          break;
+      }
+    };
 
-    reader.onload = () => resolve(reader.result as ArrayBuffer);
-    reader.onerror = reject;
+    const onError = (e: ErrorEvent) => {
+      finish();
+      reject(new Error(`Worker failed:\n↳ ${e.message}`));
+    };
+
+    worker.addEventListener("message", onMessage);
+    worker.addEventListener("error", onError);
 
-    reader.readAsArrayBuffer(file);
+    const { url } = workerConfig;
+    const request: WorkerRequest = {
+      id,
+      config: {
+        ...workerConfig,
+        url: isShpFiles(url)
+          ? (Object.fromEntries(
+              Object.entries(url).map(([key, source]) => [
+                key,
+                absoluteURL(source),
+              ])
+            ) as ShpFiles)
+          : absoluteURL(url),
+      },
+      epsg: registeredEPSG(),
+    };
+    worker.postMessage(request);
   });
 }
 
-function getBinaryContentAsync(url: string): Promise<ArrayBuffer> {
-  return new Promise((resolve, reject) => {
-    JSZipUtils.getBinaryContent(url, (err, data) => {
-      if (err) reject(err);
-      else resolve(data);
+// Opens a shapefile for random access: only the headers and the .shx index
+// are read up front, records are decoded when asked for. Without a .shx the
+// index is rebuilt from the .shp record headers.
+export async function openshp(config: ShpConfig): Promise<ShpReader> {
+  const archive = await openArchive(config);
+  const {
+    shp,
+    dbf,
+    shx,
+    shpName,
+    shxName = "",
+    dbfName = "",
+    encoding,
+    options,
+  } = archive;
+
+  const shpView = new DataView(shp);
+  const index = shx
+    ? SHXParser.parse(shx, shxName)
+    : SHXParser.fromSHP(shp, shpName);
+  if (shx) SHXParser.check(index, shp.byteLength);
+
+  const dbfView = dbf && new DataView(dbf);
+  const dbfHeader =
+    dbfView && DBFParser.parseHeader(dbfView, dbfName, encoding);
+  const decoder = dbfHeader && new TextDecoder(dbfHeader.encoding);
+
+  const count = index.offsets.length;
+
+  const getFeature = (i: number) => {
+    if (!Number.isInteger(i) || i < 0 || i >= count) return undefined;
+
+    const record = () =>
+      SHPParser.parseRecord(shpView, index.offsets[i], shpName);
+    if (!dbfView || !dbfHeader) return toFeature(record(), {}, false, options);
+
+    // Join on the record number in the .shp record header
+    const number = shpView.getInt32(index.offsets[i], false);
+    const row = DBFParser.parseRecord(dbfView, dbfHeader, number - 1, decoder);
+
+    if (!row && options.join === "strict") {
+      throw joinError({
+        shapesWithoutAttributes: [number],
+        attributesWithoutShapes: [],
+      });
+    }
+    if (row?.deleted && options.deletedRecords === "skip") return undefined;
+
+    return toFeature(record(), row?.record, row?.deleted ?? false, options);
+  };
+
+  return {
+    count,
+    warnings: archive.warnings,
+    getFeature,
+    getFeatures(start: number, end: number) {
+      const features: ShpFeature[] = [];
+
+      for (let i = Math.max(0, start); i < Math.min(end, count); i++) {
+        const feature = getFeature(i);
+        if (feature) features.push(feature);
+      }
+
+      return features;
+    },
+  };
+}
+
+// Streams the features of a shapefile, reading one .shp record and its DBF
+// row at a time. Nothing is read ahead of the consumer, so a slow loop holds
+// back both source streams; leaving the loop early cancels them.
+//
+// Rows are read in lockstep with the shapes, so the join by record number
+// only looks forward: rows skipped over by a gap in the numbering are
+// dropped, and a shape whose row has already passed has no attributes. The
+// strict join throws on either instead.
+export async function* readShapefile(
+  source: ShpStreamSource,
+  config: Omit<ShpConfig, "url"> = {}
+): AsyncGenerator<ShpFeature, void, undefined> {
+  const options = resolveOptions(config, source.prj, "prj");
+  const encoding =
+    config.encoding ??
+    (source.cpg !== undefined
+      ? DBFParser.encodingFromCpg(source.cpg)
+      : undefined);
+
+  if (!source.dbf) {
+    if (config.missingDbf !== "warn") {
+      throw new ArchiveError(" ↳ Missing .shp or .dbf file in the streams.");
+    }
+    config.onWarning?.(missingDbfWarning("the .shp stream"));
+  }
+
+  const shpStream = new ByteStream(source.shp);
+  const dbfStream = source.dbf && new ByteStream(source.dbf);
+
+  try {
+    const shpHeader = await shpStream.read(100);
+    if (shpHeader.length < 100) {
+      throw new InvalidShpHeaderError(
+        `Truncated SHP header: ${shpHeader.length} bytes`,
+        { file: "shp", offset: shpHeader.length }
+      );
+    }
+    const shp = SHPParser.parseHeader(new DataView(shpHeader.buffer), "shp");
+
+    const dbf = dbfStream && (await readDBFHeader(dbfStream, encoding));
+    const decoder = dbf && new TextDecoder(dbf.encoding);
+
+    // Index of the next unread row, and whether the rows have run out
+    let next = 0;
+    let rowsEnded = false;
+
+    const readRow = async () => {
+      if (rowsEnded || !dbfStream || !dbf) return undefined;
+
+      const bytes = await dbfStream.read(dbf.bytesInRecord);
+      const row =
+        bytes.length === dbf.bytesInRecord && bytes.length > 0
+          ? DBFParser.decodeRecord(
+              new DataView(bytes.buffer),
+              0,
+              dbf,
+              next >= dbf.numberOfRecords,
+              decoder
+            )
+          : undefined;
+
+      if (row) next++;
+      else rowsEnded = true;
+
+      return row;
+    };
+
+    for (let idx = 100; idx < shp.byteLength; ) {
+      const recordHeader = await shpStream.read(8);
+      if (recordHeader.length < 8) break;
+
+      const headerView = new DataView(recordHeader.buffer);
+      const length = headerView.getInt32(4, false);
+
+      // Checked before reading: a corrupt length could buffer the whole stream
+      if (length <= 0 || idx + 8 + length * 2 > shp.byteLength) {
+        throw new ShpError(
+          "INVALID_SHP_RECORD",
+          `Invalid record length at ${idx}: ${length}`,
+          { file: "shp", record: headerView.getInt32(0, false), offset: idx }
+        );
+      }
+
+      const content = await shpStream.read(length * 2);
+
+      const bytes = new Uint8Array(8 + content.length);
+      bytes.set(recordHeader);
+      bytes.set(content, 8);
+
+      let record: SHPRecord;
+      try {
+        record = SHPParser.parseRecord(new DataView(bytes.buffer), 0, "shp");
+      } catch (e) {
+        // Offsets are relative to the record bytes
+        if (e instanceof ShpError && e.offset !== undefined) e.offset += idx;
+        throw e;
+      }
+      idx += bytes.length;
+
+      if (!dbf) {
+        yield toFeature(record, {}, false, options);
+        continue;
+      }
+
+      // Read forward to the row of this record number
+      let row: DBFRow | undefined;
+      while (!rowsEnded && next < record.number) {
+        row = await readRow();
+
+        // Rows read past on the way have no shape
+        if (row && next < record.number && options.join === "strict") {
+          throw joinError({
+            shapesWithoutAttributes: [],
+            attributesWithoutShapes: [next],
+          });
+        }
+      }
+      if (next !== record.number) row = undefined;
+
+      if (!row && options.join === "strict") {
+        throw joinError({
+          shapesWithoutAttributes: [record.number],
+          attributesWithoutShapes: [],
+        });
+      }
+      if (row?.deleted && options.deletedRecords === "skip") continue;
+
+      yield toFeature(record, row?.record, row?.deleted ?? false, options);
+    }
+
+    // Rows left over once the shapes have ended have nothing to join
+    if (dbf && options.join === "strict" && (await readRow())) {
+      throw joinError({
+        shapesWithoutAttributes: [],
+        attributesWithoutShapes: [next],
+      });
+    }
+  } finally {
+    await Promise.all([shpStream.cancel(), dbfStream?.cancel()]);
+  }
+}
+
+// Reads a DBF header off a stream; its length is only known after the first
+// 32 bytes.
+async function readDBFHeader(
+  stream: ByteStream,
+  encoding?: string
+): Promise<DBFFile> {
+  const start = await stream.read(32);
+  if (start.length < 32) {
+    throw new DbfDecodeError(`Truncated DBF header: ${start.length} bytes`, {
+      file: "dbf",
+      offset: start.length,
+    });
+  }
+
+  const bytesInHeader = new DataView(start.buffer).getUint16(8, true);
+  const rest = await stream.read(Math.max(0, bytesInHeader - 32));
+
+  const header = new Uint8Array(start.length + rest.length);
+  header.set(start);
+  header.set(rest, start.length);
+
+  return DBFParser.parseHeader(new DataView(header.buffer), "dbf", encoding);
+}
+
+// Writes a feature collection as a zipped shapefile with .shp, .shx, .dbf,
+// .cpg and .prj files. Field types and widths are inferred from the
+// properties; features without geometry become Null shapes of the first
+// layer.
+export async function geojsonToShapefile(
+  geojson: FeatureCollection<Geometry | null>,
+  options: ShapefileOptions = {}
+): Promise<Uint8Array> {
+  const { name = "layer", EPSG = 4326 } = options;
+  const prj = options.prj ?? (EPSG === 4326 ? WGS84_PRJ : undefined);
+  // None for WGS84 output: a proj4 round trip would alter the coordinates
+  const projection =
+    EPSG === 4326
+      ? undefined
+      : resolveOptions({ sourceCRS: 4326, EPSG }).projection;
+
+  // Features per layer, in order of first appearance
+  const layers = new Map<string, Feature<Geometry | null>[]>();
+  const firstType = geojson.features.find((feature) => feature.geometry)
+    ?.geometry?.type;
+  const firstLayer = firstType ? WRITE_LAYERS[firstType]?.suffix : "null";
+
+  for (const feature of geojson.features) {
+    const type = feature.geometry?.type;
+
+    if (type && !(type in WRITE_LAYERS)) {
+      throw new UnsupportedShapeTypeError(`Unsupported geometry type: ${type}`);
+    }
+
+    const layer = type ? WRITE_LAYERS[type].suffix : firstLayer;
+    if (!layers.has(layer)) layers.set(layer, []);
+    layers.get(layer)!.push(feature);
+  }
+
+  if (layers.size === 0) layers.set(firstLayer, []);
+
+  const zip = new JSZip();
+
+  for (const [suffix, features] of layers) {
+    const base = layers.size > 1 ? `${name}_${suffix}` : name;
+
+    const shapes = features.map((feature) =>
+      toWriteShape(feature.geometry, projection)
+    );
+    const hasZ = shapes.some((shape) =>
+      shape?.some((part) => part.some((position) => position.length > 2))
+    );
+    const geometry = features.find((feature) => feature.geometry)?.geometry;
+    const shapeType = geometry
+      ? WRITE_LAYERS[geometry.type].type + (hasZ ? 10 : 0)
+      : SHP.NULL;
+
+    const records = features.map((feature) => feature.properties ?? {});
+    const fields = DBFWriter.fields(records);
+    const { shp, shx } = SHPWriter.write(shapeType, shapes);
+
+    zip.file(`${base}.shp`, shp);
+    zip.file(`${base}.shx`, shx);
+    zip.file(`${base}.dbf`, DBFWriter.write(fields, records));
+    zip.file(`${base}.cpg`, "UTF-8");
+    if (prj) zip.file(`${base}.prj`, prj);
+  }
+
+  return zip.generateAsync({ type: "uint8array", compression: "DEFLATE" });
+}
+
+// Unzips the archive and resolves everything that does not need the records
+// of the selected layer: the source and output CRS, the DBF encoding and the
+// conversion options.
+async function openArchive(config: ShpConfig): Promise<Archive> {
+  const { url, layer } = config;
+
+  const { layers, origin } = await openLayers(url);
+  const selected =
+    layer === undefined
+      ? layers[0]
+      : layers.find((candidate) => candidate.name === layer);
+
+  if (layer !== undefined && !selected) {
+    const names = layers.map((candidate) => candidate.name);
+    throw new ArchiveError(
+      `Layer not found: ${layer}\n↳ Layers in ${origin}: ` +
+        (names.join(", ") || "none")
+    );
+  }
+
+  if (!selected) {
+    throw new ArchiveError(` ↳ Missing .shp or .dbf file in ${origin}.`);
+  }
+
+  return readLayer(selected, origin, config);
+}
+
+// A file of the input, read on demand
+type SourceFile = {
+  path: string;
+  bytes(): Promise<ArrayBuffer>;
+  text(): Promise<string>;
+};
+
+// Files of one shapefile in the input
+type ArchiveLayer = {
+  name: string;
+  shp: SourceFile;
+  dbf?: SourceFile;
+  shx?: SourceFile;
+  prj?: SourceFile;
+  cpg?: SourceFile;
+};
+
+// Lists the shapefile layers of any input, and names where they were looked
+// for, for error messages.
+async function openLayers(
+  url: ShpConfig["url"]
+): Promise<{ layers: ArchiveLayer[]; origin: string }> {
+  if (isFileList(url)) {
+    const files = Array.from(url, (file: File) => ({
+      // Set when a whole folder was picked
+      path: file.webkitRelativePath || file.name,
+      bytes: () => file.arrayBuffer(),
+      text: () => file.text(),
+    }));
+
+    return { layers: groupLayers(files), origin: "the files" };
+  }
+
+  if (isShpFiles(url)) {
+    return { layers: [looseLayer(url)], origin: "the files" };
+  }
+
+  const bytes = await readSource(url);
+  let zip: JSZip;
+
+  try {
+    zip = await JSZip.loadAsync(bytes);
+  } catch (e: any) {
+    throw new ArchiveError(`Invalid ZIP archive:\n↳ ${e?.message ?? e}`, {
+      file: sourceName(url),
+      cause: e,
+    });
+  }
+
+  const files: SourceFile[] = [];
+
+  zip.forEach((path, file) => {
+    if (file.dir) return;
+
+    files.push({
+      path,
+      bytes: () => file.async("arraybuffer"),
+      text: () => file.async("string"),
     });
   });
+
+  return { layers: groupLayers(files), origin: "the ZIP archive" };
 }
 
-// function loadEPSG(url: string): Promise<void> {
-//   return new Promise((resolve, reject) => {
-//     const script = document.createElement("script");
-//     script.src = url;
-//     script.onload = () => resolve();
-//     script.onerror = () => reject(new Error(`Failed to load script: ${url}`));
-//     document.head.appendChild(script);
-//   });
-// }
+function isFileList(url: ShpConfig["url"]): url is FileList | File[] {
+  // FileList only exists in browsers
+  return (
+    Array.isArray(url) ||
+    (typeof FileList !== "undefined" && url instanceof FileList)
+  );
+}
+
+// A worker resolves relative URLs against its own script, so they are
+// resolved against the page before being handed over
+function absoluteURL<T>(source: T): T {
+  if (typeof source !== "string" || typeof location === "undefined") {
+    return source;
+  }
+
+  return new URL(source, location.href).href as T;
+}
+
+function isShpFiles(url: ShpConfig["url"]): url is ShpFiles {
+  return (
+    typeof url === "object" &&
+    !(url instanceof Blob) &&
+    !(url instanceof ArrayBuffer) &&
+    !(url instanceof Uint8Array) &&
+    "shp" in url
+  );
+}
+
+// Wraps a ShpFiles object as a layer named after its .shp, when it has one
+function looseLayer(files: ShpFiles): ArchiveLayer {
+  const { shp } = files;
+  const shpPath =
+    typeof shp === "string"
+      ? shp.replace(/[?#].*$/, "")
+      : typeof File !== "undefined" && shp instanceof File
+      ? shp.name
+      : "layer.shp";
+  const stem = shpPath.replace(/\.shp$/i, "");
+
+  const layer: ArchiveLayer = {
+    name: layerName(shpPath),
+    shp: sourceFile(shp, shpPath),
+  };
+
+  for (const extension of ["dbf", "shx", "prj", "cpg"] as const) {
+    const source = files[extension];
+
+    if (source !== undefined) {
+      const path =
+        typeof source === "string" ? source : `${stem}.${extension}`;
+      layer[extension] = sourceFile(source, path);
+    }
+  }
+
+  return layer;
+}
+
+function sourceFile(source: ShpSource, path: string): SourceFile {
+  return {
+    path,
+    bytes: async () => toArrayBuffer(await readSource(source)),
+    text: async () => new TextDecoder().decode(await readSource(source)),
+  };
+}
+
+function toArrayBuffer(bytes: ArrayBuffer | Uint8Array): ArrayBuffer {
+  if (bytes instanceof ArrayBuffer) return bytes;
+
+  return bytes.buffer.slice(
+    bytes.byteOffset,
+    bytes.byteOffset + bytes.byteLength
+  ) as ArrayBuffer;
+}
+
+// Pairs files into shapefile layers, in input order. Sidecars pair with the
+// .shp of the same path, ignoring case, so layers side by side or in nested
+// folders never share files. A layer is named after its file, or after its
+// path without extension when several files share that name (in any case).
+function groupLayers(files: SourceFile[]): ArchiveLayer[] {
+  const byPath = new Map<string, Partial<ArchiveLayer>>();
+
+  for (const file of files) {
+    const { path } = file;
+
+    // Skip the resource forks macOS adds to archives
+    if (/(^|\/)(__MACOSX\/|\._)/.test(path)) continue;
+
+    const match = /^(.*)\.(shp|dbf|shx|prj|cpg)$/i.exec(path);
+    if (!match) continue;
+
+    const stem = match[1].toLowerCase();
+    const extension = match[2].toLowerCase() as Exclude<
+      keyof ArchiveLayer,
+      "name"
+    >;
+
+    if (!byPath.has(stem)) byPath.set(stem, {});
+    byPath.get(stem)![extension] = file;
+  }
+
+  const layers = [...byPath.values()].filter(
+    (files): files is ArchiveLayer => files.shp !== undefined
+  );
+
+  const names = layers.map((files) => layerName(files.shp.path));
+  const keys = names.map((name) => name.toLowerCase());
+
+  return layers.map((files, i) => ({
+    ...files,
+    name:
+      keys.indexOf(keys[i]) === keys.lastIndexOf(keys[i])
+        ? names[i]
+        : files.shp.path.slice(0, -4),
+  }));
+}
+
+async function readLayer(
+  layer: ArchiveLayer,
+  origin: string,
+  config: Omit<ShpConfig, "url">
+): Promise<Archive> {
+  const { shp, dbf, shx, prj, cpg } = layer;
+  const warnings: string[] = [];
+
+  if (!dbf) {
+    if (config.missingDbf !== "warn") {
+      throw new ArchiveError(` ↳ Missing .shp or .dbf file in ${origin}.`, {
+        file: shp.path,
+      });
+    }
+    const warning = missingDbfWarning(shp.path);
+    warnings.push(warning);
+    config.onWarning?.(warning);
+  }
+
+  // Encoding: explicit option, then .cpg, then the DBF language driver ID
+  // (resolved by DBFParser), then UTF-8
+  const cpgEncoding = cpg && DBFParser.encodingFromCpg(await cpg.text());
+
+  return {
+    shp: await shp.bytes(),
+    shx: await shx?.bytes(),
+    shpName: shp.path,
+    shxName: shx?.path,
+    dbf: await dbf?.bytes(),
+    dbfName: dbf?.path,
+    encoding: config.encoding ?? cpgEncoding,
+    options: resolveOptions(config, await prj?.text(), prj?.path),
+    warnings,
+  };
+}
+
+function missingDbfWarning(shpName: string): string {
+  return `Missing .dbf file for ${shpName}: features have empty properties.`;
+}
+
+// Applies the option defaults and builds the converter from the source CRS,
+// taken from the .prj contents unless sourceCRS is given. prjName names the
+// .prj in errors.
+function resolveOptions(
+  config: Omit<ShpConfig, "url">,
+  prj?: string,
+  prjName?: string
+): GeojsonOptions {
+  const {
+    EPSG = 4326,
+    sourceCRS,
+    measures = "property",
+    rfc7946 = true,
+    deletedRecords = "skip",
+    join = "lenient",
+  } = config;
+
+  proj4.defs("EPSG:4326", "+proj=longlat +datum=WGS84 +no_defs +type=crs");
+
+  // An explicit sourceCRS wins over the .prj, which may be wrong or unreadable
+  const source =
+    sourceCRS === undefined && prj !== undefined
+      ? resolveCRS(prj, prjName)
+      : resolveCRS(sourceCRS ?? 4326);
+  const output = resolveCRS(EPSG);
 
-function TransCoord(x: number, y: number) {
+  return {
+    EPSG,
+    // Each call gets its own converter, so concurrent loads never share a CRS
+    projection: proj4(source, output),
+    measures,
+    rfc7946,
+    deletedRecords,
+    join,
+  };
+}
+
+// Layer name of a .shp: its file name without the extension
+function layerName(path: string): string {
+  return path.replace(/^.*\//, "").replace(/\.shp$/i, "");
+}
+
+// Builds a converter from an EPSG code, a registered proj4 name, a proj
+// string or WKT. file is the .prj the CRS was read from, if any.
+function resolveCRS(crs: number | string, file?: string): proj4.Converter {
+  const name = typeof crs === "number" ? `EPSG:${crs}` : crs.trim();
+
+  try {
+    return proj4(name);
+  } catch (e: any) {
+    throw new ProjectionError(
+      `Unsupported Projection:\n↳ ${e?.message || `Unknown CRS ${name}`}`,
+      { file, cause: e }
+    );
+  }
+}
+
+// Only APIs common to browsers and Node: bytes pass through, Blobs are read
+// directly, and strings are fetched, except paths when running in Node.
+async function readSource(
+  source: ShpSource
+): Promise<ArrayBuffer | Uint8Array> {
+  if (source instanceof ArrayBuffer || source instanceof Uint8Array) {
+    return source;
+  }
+  if (typeof source !== "string") return source.arrayBuffer();
+
+  const isNode =
+    typeof (globalThis as any).process?.versions?.node === "string";
+
+  if (isNode && !/^(https?|data|blob):/i.test(source)) {
+    // Kept out of reach of bundlers, which cannot resolve it for browsers
+    const fsModule = "node:fs/promises";
+    const { readFile } = await import(fsModule);
+
+    try {
+      return await readFile(/^file:/i.test(source) ? new URL(source) : source);
+    } catch (e: any) {
+      throw new ArchiveError(`Failed to load ${source}:\n↳ ${e.message}`, {
+        file: source,
+        cause: e,
+      });
+    }
+  }
+
+  let response: Response;
+  try {
+    response = await fetch(source);
+  } catch (e: any) {
+    throw new ArchiveError(`Failed to load ${source}:\n↳ ${e.message}`, {
+      file: source,
+      cause: e,
+    });
+  }
+
+  if (!response.ok) {
+    throw new ArchiveError(
+      `Failed to load ${source}:\n↳ ${response.status} ${response.statusText}`,
+      { file: source }
+    );
+  }
+
+  return response.arrayBuffer();
+}
+
+// File name or URL of a source, for errors
+function sourceName(source: ShpSource): string | undefined {
+  if (typeof source === "string") return source;
+  if (typeof File !== "undefined" && source instanceof File) return source.name;
+
+  return undefined;
+}
+
+function TransCoord(x: number, y: number, projection: proj4.Converter) {
   if (!proj4) {
-    throw new Error("proj4 is not available");
+    throw new ProjectionError("proj4 is not available");
   }
 
-  const [lon, lat] = proj4(EPSGUser, EPSG4326, [x, y]);
+  const [lon, lat] = projection.forward([x, y]);
   return { x: lon, y: lat };
 }
 
-function toGeojson({
-  shp,
-  dbf,
-}: {
-  shp: SHPFile;
-  dbf: DBFFile;
-}): FeatureCollection {
-  const geojson: FeatureCollection = {
-    type: "FeatureCollection",
-    bbox: [
-      TransCoord(shp.minX, shp.minY).x,
-      TransCoord(shp.minX, shp.minY).y,
-      TransCoord(shp.maxX, shp.maxY).x,
-      TransCoord(shp.maxX, shp.maxY).y,
-    ],
-    features: [],
+function toPosition(
+  projection: proj4.Converter,
+  x: number,
+  y: number,
+  z?: number,
+  m?: number
+): Position {
+  const { x: lon, y: lat } = TransCoord(x, y, projection);
+  const position = [lon, lat];
+
+  if (z !== undefined) position.push(z);
+  if (m !== undefined) {
+    if (z === undefined) position.push(0);
+    position.push(m);
+  }
+
+  return position;
+}
+
+// Converts the points in [start, end) to GeoJSON positions, appending the Z
+// and M values when the shape carries them.
+function toPositions(
+  projection: proj4.Converter,
+  points: Float64Array,
+  z: Float64Array | undefined,
+  m: Float64Array | undefined,
+  start: number,
+  end: number
+): Position[] {
+  const positions: Position[] = [];
+
+  for (let j = start; j < end; j++) {
+    positions.push(
+      toPosition(projection, points[j * 2], points[j * 2 + 1], z?.[j], m?.[j])
+    );
+  }
+
+  return positions;
+}
+
+// Splits the points of a multi-part shape on its parts array.
+function toParts(
+  projection: proj4.Converter,
+  content: {
+    parts: Int32Array;
+    points: Float64Array;
+    z?: Float64Array;
+    m?: Float64Array;
+  }
+): Position[][] {
+  const { parts, points, z, m } = content;
+  const coordinates: Position[][] = [];
+
+  for (let p = 0; p < parts.length; p++) {
+    const start = parts[p];
+    const end = parts[p + 1] || points.length / 2;
+
+    coordinates.push(toPositions(projection, points, z, m, start, end));
+  }
+
+  return coordinates;
+}
+
+// Shoelace formula; negative for clockwise rings.
+function ringArea(ring: Position[]): number {
+  let area = 0;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+
+  return area / 2;
+}
+
+// Ray casting test of a single position against a ring.
+function ringContains(ring: Position[], [x, y]: Position): boolean {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+function onBoundary(ring: Position[], [x, y]: Position): boolean {
+  // Coordinates carry float noise; allow a tiny distance relative to them
+  const tolerance = 1e-9 * Math.max(1, Math.abs(x), Math.abs(y));
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const length = Math.hypot(xj - xi, yj - yi);
+
+    if (
+      x >= Math.min(xi, xj) - tolerance &&
+      x <= Math.max(xi, xj) + tolerance &&
+      y >= Math.min(yi, yj) - tolerance &&
+      y <= Math.max(yi, yj) + tolerance &&
+      Math.abs((xj - xi) * (y - yi) - (yj - yi) * (x - xi)) <=
+        tolerance * length
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Whether `inner` lies inside `outer`. Rings may touch at vertices, so the
+// test uses the first vertex, or else edge midpoint, off the outer boundary.
+function ringInside(outer: Position[], inner: Position[]): boolean {
+  const midpoints = inner
+    .slice(1)
+    .map(([x, y], i) => [(x + inner[i][0]) / 2, (y + inner[i][1]) / 2]);
+
+  for (const point of [...inner, ...midpoints]) {
+    if (!onBoundary(outer, point)) return ringContains(outer, point);
+  }
+
+  return false;
+}
+
+// Groups the rings of a Polygon record into polygons. Shapefiles wind outer
+// rings clockwise and holes counter-clockwise; rings whose winding contradicts
+// their nesting are reclassified and reversed to match that convention.
+function toPolygons(rings: Position[][]): Position[][][] {
+  type Ring = { ring: Position[]; area: number; holes: Ring[] };
+
+  const all: Ring[] = rings
+    .filter((ring) => ring.length > 0)
+    .map((ring) => ({ ring, area: ringArea(ring), holes: [] }));
+
+  // Smallest ring of `candidates` (other than `inner`) that contains `inner`
+  const container = (inner: Ring, candidates: Ring[]) => {
+    let best: Ring | undefined;
+
+    for (const outer of candidates) {
+      if (outer === inner) continue;
+      if (Math.abs(outer.area) <= Math.abs(inner.area)) continue;
+      if (best && Math.abs(outer.area) >= Math.abs(best.area)) continue;
+      if (ringInside(outer.ring, inner.ring)) best = outer;
+    }
+
+    return best;
   };
 
-  shp.records.forEach((shpRecord, i) => {
-    const shape = shpRecord.shape;
-    const { type, content } = shape;
+  const shells = all.filter((r) => r.area < 0);
+  const holes = all.filter((r) => r.area >= 0);
 
-    const feature: Feature = {
-      type: "Feature",
-      geometry: { type: "Point", coordinates: [0, 0] }, // will be overridden
-      properties: dbf.records[i],
-    };
+  // Holes outside every shell are outer rings with the wrong winding
+  for (const hole of holes.filter((h) => !container(h, shells))) {
+    hole.ring.reverse();
+    holes.splice(holes.indexOf(hole), 1);
+    shells.push(hole);
+  }
 
-    switch (type) {
-      case 1: {
-        // Point
-        const { x, y } = TransCoord(content.x, content.y);
-        feature.geometry = {
-          type: "Point",
-          coordinates: [x, y],
-        };
-        break;
-      }
+  // Shells inside another shell are holes with the wrong winding, unless a
+  // hole lies between them (an island in a lake). Largest rings go first so
+  // that each decision sees the already corrected outer rings.
+  shells.sort((a, b) => Math.abs(b.area) - Math.abs(a.area));
 
-      case 3: // Polyline
-      case 8: {
-        // MultiPoint
-        const coordinates: Position[] = [];
+  for (const shell of [...shells]) {
+    const outer = container(shell, shells);
+    if (!outer) continue;
 
-        for (let j = 0; j < content.points.length; j += 2) {
-          const { x, y } = TransCoord(content.points[j], content.points[j + 1]);
-          coordinates.push([x, y]);
-        }
+    const lake = container(shell, holes);
+    if (lake && Math.abs(lake.area) < Math.abs(outer.area)) continue;
 
-        feature.geometry = {
-          type: type === 3 ? "LineString" : "MultiPoint",
-          coordinates,
-        };
-        break;
-      }
+    shell.ring.reverse();
+    shells.splice(shells.indexOf(shell), 1);
+    holes.push(shell);
+  }
 
-      case 5: {
-        // Polygon
-        const coordinates: Position[][] = [];
+  // Assign every hole to its smallest containing shell
+  for (const hole of holes) {
+    container(hole, shells)?.holes.push(hole);
+  }
+
+  return shells.map((shell) => [
+    shell.ring,
+    ...shell.holes.map((hole) => hole.ring),
+  ]);
+}
+
+function closeRing(ring: Position[]) {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push([...first]);
+}
 
-        const points = content.points;
-        const parts = content.parts;
+// Rewinds a polygon produced by toPolygons, which follows the shapefile
+// convention, to the RFC 7946 order and closes any unclosed ring.
+function toRfc7946(polygon: Position[][]) {
+  for (const ring of polygon) {
+    closeRing(ring);
+    ring.reverse();
+  }
+}
+
+// Triangulates strips and fans and groups rings of a MultiPatch record into
+// MultiPolygon polygons. Vertex order is kept as stored, since it carries the
+// face orientation of the mesh; only ring closure follows the rfc7946 option.
+function toMultiPatch(
+  projection: proj4.Converter,
+  content: Parameters<typeof toParts>[1] & { partTypes: Int32Array },
+  rfc7946: boolean,
+  record: number
+): { polygons: Position[][][]; patches: Patch[] } {
+  const polygons: Position[][][] = [];
+  const patches: Patch[] = [];
+
+  // Polygon that following inner rings are attached to, and the ring type
+  // allowed to attach to it
+  let current: Position[][] | undefined;
+  let holeType: MultiPatchPart | undefined;
+
+  const triangle = (a: Position, b: Position, c: Position) => {
+    polygons.push([[[...a], [...b], [...c], [...a]]]);
+  };
 
-        for (let p = 0; p < parts.length; p++) {
-          const start = parts[p] * 2;
-          const end = (parts[p + 1] || points.length / 2) * 2;
-          const ring: Position[] = [];
+  toParts(projection, content).forEach((ring, p) => {
+    const type: MultiPatchPart = content.partTypes[p];
+    let start = polygons.length;
 
-          for (let j = start; j < end; j += 2) {
-            const { x, y } = TransCoord(points[j], points[j + 1]);
-            ring.push([x, y]);
-          }
+    switch (type) {
+      case MultiPatchPart.TriangleStrip:
+        // Every other triangle is flipped to keep a consistent winding
+        for (let i = 0; i + 2 < ring.length; i++) {
+          if (i % 2 === 0) triangle(ring[i], ring[i + 1], ring[i + 2]);
+          else triangle(ring[i + 1], ring[i], ring[i + 2]);
+        }
+        current = undefined;
+        break;
 
-          coordinates.push(ring);
+      case MultiPatchPart.TriangleFan:
+        for (let i = 1; i + 1 < ring.length; i++) {
+          triangle(ring[0], ring[i], ring[i + 1]);
         }
+        current = undefined;
+        break;
 
-        feature.geometry = {
-          type: "Polygon",
-          coordinates,
-        };
+      case MultiPatchPart.OuterRing:
+      case MultiPatchPart.FirstRing:
+        if (rfc7946) closeRing(ring);
+        current = [ring];
+        holeType =
+          type === MultiPatchPart.OuterRing
+            ? MultiPatchPart.InnerRing
+            : MultiPatchPart.Ring;
+        polygons.push(current);
+        break;
+
+      case MultiPatchPart.InnerRing:
+      case MultiPatchPart.Ring:
+        if (rfc7946) closeRing(ring);
+
+        if (current && type === holeType) {
+          current.push(ring);
+          start--;
+        } else {
+          // A ring without a matching outer ring stands on its own
+          current = undefined;
+          polygons.push([ring]);
+        }
         break;
-      }
 
       default:
-        throw new Error(`Unsupported shape type: ${type}`);
+        throw new ShpError(
+          "INVALID_SHP_RECORD",
+          `Unknown MultiPatch part type: ${type}`,
+          { record }
+        );
     }
 
+    patches.push({
+      type: MultiPatchPart[type] as keyof typeof MultiPatchPart,
+      polygons: [start, polygons.length],
+    });
+  });
+
+  return { polygons, patches };
+}
+
+// Strips the M element off every position, returning the measures in the
+// same nesting as the coordinates.
+function splitMeasures(
+  coordinates: Position | Position[] | Position[][] | Position[][][],
+  hasZ: boolean
+): Measures {
+  if (typeof coordinates[0] === "number") {
+    const position = coordinates as Position;
+    const m = position[3];
+    position.length = hasZ ? 3 : 2;
+    return Number.isNaN(m) ? null : m;
+  }
+
+  return (coordinates as Position[]).map((c) => splitMeasures(c, hasZ));
+}
+
+// ESRI WKT of EPSG:4326
+const WGS84_PRJ =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+  'SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Shape type written for each GeoJSON geometry type (plus 10 with Z values),
+// and the layer suffix used when a collection mixes them
+const WRITE_LAYERS: Record<string, { type: SHP; suffix: string }> = {
+  Point: { type: SHP.POINT, suffix: "point" },
+  MultiPoint: { type: SHP.MULTIPOINT, suffix: "multipoint" },
+  LineString: { type: SHP.POLYLINE, suffix: "line" },
+  MultiLineString: { type: SHP.POLYLINE, suffix: "line" },
+  Polygon: { type: SHP.POLYGON, suffix: "polygon" },
+  MultiPolygon: { type: SHP.POLYGON, suffix: "polygon" },
+};
+
+// Reprojects a geometry, unless projection is undefined, into the parts of a
+// shapefile record. Rings are closed and rewound to the shapefile convention:
+// outer rings clockwise, holes counter-clockwise. Empty geometries become
+// Null shapes.
+function toWriteShape(
+  geometry: Geometry | null,
+  projection: proj4.Converter | undefined
+): SHPWriteShape {
+  if (!geometry || geometry.type === "GeometryCollection") return null;
+
+  const project = (positions: Position[]) =>
+    positions.map(([x, y, ...rest]) => {
+      const { x: px, y: py } = projection
+        ? TransCoord(x, y, projection)
+        : { x, y };
+      return rest.length > 0 ? [px, py, rest[0]] : [px, py];
+    });
+
+  const rings = (polygon: Position[][]) =>
+    polygon.map((ring, r) => {
+      const projected = project(ring);
+      if (projected.length === 0) return projected;
+
+      closeRing(projected);
+
+      const clockwise = ringArea(projected) < 0;
+      if (clockwise !== (r === 0)) projected.reverse();
+
+      return projected;
+    });
+
+  let parts: Position[][];
+
+  switch (geometry.type) {
+    case "Point":
+      parts =
+        geometry.coordinates.length >= 2
+          ? [project([geometry.coordinates])]
+          : [];
+      break;
+    case "MultiPoint":
+    case "LineString":
+      parts = [project(geometry.coordinates)];
+      break;
+    case "MultiLineString":
+      parts = geometry.coordinates.map(project);
+      break;
+    case "Polygon":
+      parts = rings(geometry.coordinates);
+      break;
+    case "MultiPolygon":
+      parts = geometry.coordinates.flatMap(rings);
+      break;
+  }
+
+  parts = parts.filter((part) => part.length > 0);
+  return parts.length > 0 ? parts : null;
+}
+
+function toGeojson(
+  { shp, dbf, ...options }: { shp: SHPFile; dbf?: DBFFile } & GeojsonOptions,
+  onFeatures?: (features: ShpFeature[]) => void,
+  chunkSize = 1000
+): ShpFeatureCollection {
+  const { EPSG, projection, deletedRecords, join } = options;
+
+  const geojson: ShpFeatureCollection = {
+    type: "FeatureCollection",
+    bbox: [
+      TransCoord(shp.minX, shp.minY, projection).x,
+      TransCoord(shp.minX, shp.minY, projection).y,
+      TransCoord(shp.maxX, shp.maxY, projection).x,
+      TransCoord(shp.maxX, shp.maxY, projection).y,
+    ],
+    features: [],
+  };
+
+  if (EPSG !== 4326) {
+    geojson.crs = {
+      type: "name",
+      properties: { name: `urn:ogc:def:crs:EPSG::${EPSG}` },
+    };
+  }
+
+  // Without a .dbf every feature gets empty properties
+  let rows: number[] = [];
+
+  if (dbf) {
+    const joined = joinRows(shp, dbf, join);
+
+    rows = joined.rows;
+    if (joined.report) geojson.joinReport = joined.report;
+  }
+
+  let batch: ShpFeature[] = [];
+
+  shp.records.forEach((shpRecord, r) => {
+    const i = dbf ? rows[r] : -1;
+    const deleted = dbf !== undefined && i >= 0 && dbf.deleted[i];
+    if (deleted && deletedRecords === "skip") return;
+
+    const properties = !dbf ? {} : i >= 0 ? dbf.records[i] : undefined;
+    const feature = toFeature(shpRecord, properties, deleted, options);
+
     geojson.features.push(feature);
+
+    if (onFeatures) {
+      batch.push(feature);
+      if (batch.length >= chunkSize) {
+        onFeatures(batch);
+        batch = [];
+      }
+    }
   });
 
+  if (onFeatures && batch.length > 0) onFeatures(batch);
+
   return geojson;
 }
+
+// Joins on the record number rather than the array position, so a missing
+// or extra row only affects its own record. Returns the row index per shape
+// (-1 when there is none) and the mismatches, if any.
+function joinRows(
+  shp: SHPFile,
+  dbf: DBFFile,
+  join: GeojsonOptions["join"]
+): { rows: number[]; report?: JoinReport } {
+  const joined = new Array<boolean>(dbf.records.length).fill(false);
+  const report: JoinReport = {
+    shapesWithoutAttributes: [],
+    attributesWithoutShapes: [],
+  };
+
+  const rows = shp.records.map((shpRecord) => {
+    const i = shpRecord.number - 1;
+
+    if (i < 0 || i >= dbf.records.length || joined[i]) {
+      report.shapesWithoutAttributes.push(shpRecord.number);
+      return -1;
+    }
+
+    joined[i] = true;
+    return i;
+  });
+
+  joined.forEach((isJoined, i) => {
+    if (!isJoined) report.attributesWithoutShapes.push(i + 1);
+  });
+
+  const mismatched =
+    report.shapesWithoutAttributes.length > 0 ||
+    report.attributesWithoutShapes.length > 0;
+
+  if (mismatched && join === "strict") throw joinError(report);
+
+  return { rows, report: mismatched ? report : undefined };
+}
+
+function joinError(report: JoinReport): ShpError {
+  const list = (numbers: number[]) => numbers.join(", ") || "none";
+
+  return new ShpError(
+    "JOIN_MISMATCH",
+    `Attribute join mismatch:\n` +
+      `↳ shapes without attributes: ${list(report.shapesWithoutAttributes)}\n` +
+      `↳ attributes without shapes: ${list(report.attributesWithoutShapes)}`,
+    // The first record at fault
+    {
+      record:
+        report.shapesWithoutAttributes[0] ?? report.attributesWithoutShapes[0],
+    }
+  );
+}
+
+function toFeature(
+  shpRecord: SHPRecord,
+  properties: Record<string, DBFValue> | undefined,
+  deleted: boolean,
+  { projection, measures, rfc7946 }: GeojsonOptions
+): ShpFeature {
+  const shape = shpRecord.shape;
+  const { type, content } = shape;
+
+  const feature: ShpFeature = {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [0, 0] }, // will be overridden
+    properties: properties ?? null,
+  };
+
+  if (deleted) feature.deleted = true;
+
+  switch (type) {
+    case 0: // Null
+      feature.geometry = null;
+      break;
+
+    case 1: // Point
+    case 11: // PointZ
+    case 21: {
+      // PointM
+      feature.geometry = {
+        type: "Point",
+        coordinates: toPosition(
+          projection,
+          content.x,
+          content.y,
+          "z" in content ? content.z : undefined,
+          "m" in content ? content.m : undefined
+        ),
+      };
+      break;
+    }
+
+    case 8: // MultiPoint
+    case 18: // MultiPointZ
+    case 28: {
+      // MultiPointM
+      feature.geometry = {
+        type: "MultiPoint",
+        coordinates: toParts(projection, content)[0],
+      };
+      break;
+    }
+
+    case 3: // Polyline
+    case 13: // PolylineZ
+    case 23: {
+      // PolylineM
+      const coordinates = toParts(projection, content);
+
+      feature.geometry =
+        coordinates.length === 1
+          ? { type: "LineString", coordinates: coordinates[0] }
+          : { type: "MultiLineString", coordinates };
+      break;
+    }
+
+    case 5: // Polygon
+    case 15: // PolygonZ
+    case 25: {
+      // PolygonM
+      const polygons = toPolygons(toParts(projection, content));
+      if (rfc7946) polygons.forEach(toRfc7946);
+
+      feature.geometry =
+        polygons.length === 1
+          ? { type: "Polygon", coordinates: polygons[0] }
+          : { type: "MultiPolygon", coordinates: polygons };
+      break;
+    }
+
+    case 31: {
+      // MultiPatch
+      const { polygons, patches } = toMultiPatch(
+        projection,
+        content,
+        rfc7946,
+        shpRecord.number
+      );
+
+      feature.geometry = { type: "MultiPolygon", coordinates: polygons };
+      feature.patches = patches;
+      break;
+    }
+
+    default:
+      throw new UnsupportedShapeTypeError(`Unsupported shape type: ${type}`, {
+        record: shpRecord.number,
+      });
+  }
+
+  const m = content !== undefined && "m" in content ? content.m : undefined;
+  const hasZ = content !== undefined && "z" in content;
+
+  // M goes into the positions only after a real Z and when every value is a
+  // number: "no data" would be written as null
+  const inPositions =
+    measures === "coordinate" &&
+    hasZ &&
+    !(typeof m === "number" ? Number.isNaN(m) : m?.some(Number.isNaN));
+
+  if (
+    m !== undefined &&
+    !inPositions &&
+    feature.geometry &&
+    "coordinates" in feature.geometry
+  ) {
+    feature.measures = splitMeasures(feature.geometry.coordinates, hasZ);
+  }
+
+  return feature;
+}
@@ -0,0 +1,113 @@
+/*
+ * Messages between loadshp and its worker (./worker).
+ *
+ * Feature coordinates are packed into two flat typed arrays per batch, which
+ * are transferred rather than copied; structured cloning millions of small
+ * position arrays would cost the main thread about as much as parsing.
+ */
+
+import { Position } from "geojson";
+import type { ShpConfig, ShpFeature, ShpFeatureCollection } from "./preview";
+import type { EPSGDefinitions } from "./epsg";
+import type { SerializedError } from "./errors";
+
+export type PackedFeatures = {
+  // Features with emptied coordinates
+  features: ShpFeature[];
+  // Array lengths of every coordinate tree, depth first
+  structure: Int32Array;
+  // Position values, in the same order
+  values: Float64Array;
+};
+
+export type WorkerRequest = {
+  id: number;
+  config: Omit<ShpConfig, "worker" | "onFeatures" | "onWarning">;
+  // Projections registered on the main thread
+  epsg: EPSGDefinitions;
+};
+
+export type WorkerResponse = { id: number } & (
+  | { type: "features"; packed: PackedFeatures }
+  | { type: "done"; collection: ShpFeatureCollection }
+  | { type: "error"; error: SerializedError }
+);
+
+type Coordinates = Position | Position[] | Position[][] | Position[][][];
+
+// Nesting depth of the coordinates above the positions
+const DEPTH: Record<string, number> = {
+  Point: 0,
+  MultiPoint: 1,
+  LineString: 1,
+  MultiLineString: 2,
+  Polygon: 2,
+  MultiPolygon: 3,
+};
+
+export function packFeatures(features: ShpFeature[]): PackedFeatures {
+  const structure: number[] = [];
+  const values: number[] = [];
+
+  const pack = (coordinates: Coordinates, depth: number) => {
+    structure.push(coordinates.length);
+
+    if (depth === 0) {
+      for (const value of coordinates as Position) values.push(value);
+    } else {
+      for (const child of coordinates as Coordinates[]) pack(child, depth - 1);
+    }
+  };
+
+  const packed = features.map((feature): ShpFeature => {
+    const { geometry } = feature;
+    if (!geometry || !(geometry.type in DEPTH)) return feature;
+
+    const { coordinates } = geometry as { coordinates: Coordinates };
+    pack(coordinates, DEPTH[geometry.type]);
+
+    return {
+      ...feature,
+      geometry: { ...geometry, coordinates: [] } as ShpFeature["geometry"],
+    };
+  });
+
+  return {
+    features: packed,
+    structure: Int32Array.from(structure),
+    values: Float64Array.from(values),
+  };
+}
+
+export function unpackFeatures({
+  features,
+  structure,
+  values,
+}: PackedFeatures): ShpFeature[] {
+  let s = 0;
+  let v = 0;
+
+  const unpack = (depth: number): Coordinates => {
+    const length = structure[s++];
+
+    if (depth === 0) {
+      const position = Array.from(values.subarray(v, v + length));
+      v += length;
+      return position;
+    }
+
+    const children: Coordinates[] = [];
+    for (let i = 0; i < length; i++) children.push(unpack(depth - 1));
+    return children as Coordinates;
+  };
+
+  for (const { geometry } of features) {
+    if (!geometry || !(geometry.type in DEPTH)) continue;
+
+    (geometry as { coordinates: Coordinates }).coordinates = unpack(
+      DEPTH[geometry.type]
+    );
+  }
+
+  return features;
+}
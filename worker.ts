@@ -0,0 +1,50 @@
+/*
+ * Worker entry for the worker option of loadshp: unzipping, parsing and
+ * reprojection all run here, and features are posted back in batches.
+ *
+ * Usage :
+ *      const worker = new Worker(new URL("./worker.ts", import.meta.url), {
+ *          type: "module",
+ *      });
+ *
+ *      loadshp({
+ *          url: '/shp/test.zip',
+ *          worker,
+ *          onFeatures: (features) => map.addFeatures(features),
+ *      });
+ *
+ */
+
+import { loadshp, registerEPSG } from "./preview";
+import { packFeatures, WorkerRequest, WorkerResponse } from "./transfer";
+import { serializeError } from "./errors";
+
+function post(response: WorkerResponse, transfer: Transferable[] = []) {
+  postMessage(response, { transfer });
+}
+
+addEventListener("message", async ({ data }: MessageEvent<WorkerRequest>) => {
+  const { id, config, epsg } = data;
+
+  try {
+    registerEPSG(epsg);
+
+    const collection = await loadshp({
+      ...config,
+      onFeatures(batch) {
+        const packed = packFeatures(batch);
+
+        post({ id, type: "features", packed }, [
+          packed.structure.buffer,
+          packed.values.buffer,
+        ]);
+      },
+    });
+
+    // Features already went out in batches
+    collection.features = [];
+    post({ id, type: "done", collection });
+  } catch (e: any) {
+    post({ id, type: "error", error: serializeError(e) });
+  }
+});
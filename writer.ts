@@ -0,0 +1,402 @@
+/*
+ * Shapefile and DBF writers, the reverse of the parsers in ./preprocess.
+ *
+ * Shapes are written without M values, and text as UTF-8 (declared in the
+ * .cpg written next to the .dbf).
+ *
+ */
+
+import { Position } from "geojson";
+import { SHP } from "./preprocess";
+
+// Geometry of one record: its parts as [x, y] or [x, y, z] positions. Points
+// and multipoints have a single part. Null writes a Null shape.
+export type SHPWriteShape = Position[][] | null;
+
+export type DBFWriteField = {
+  // Property the values come from
+  key: string;
+  name: string;
+  type: "C" | "N" | "L" | "D";
+  fieldLength: number;
+  decimalCount: number;
+};
+
+// Widest numeric field, and most decimals, that common readers accept
+const MAX_NUMBER_WIDTH = 19;
+const MAX_DECIMALS = 15;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const encoder = new TextEncoder();
+
+// UTF-8 bytes of text, cut to at most `length` bytes on a character boundary
+function encodeText(text: string, length: number): Uint8Array {
+  const bytes = encoder.encode(text);
+  if (bytes.length <= length) return bytes;
+
+  let end = length;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+
+  return bytes.subarray(0, end);
+}
+
+class SHPWriter {
+  // Writes the .shp and its .shx index for shapes of a single shape type
+  static write(
+    shapeType: SHP,
+    shapes: SHPWriteShape[]
+  ): { shp: ArrayBuffer; shx: ArrayBuffer } {
+    const hasZ = [
+      SHP.POINTZ,
+      SHP.POLYLINEZ,
+      SHP.POLYGONZ,
+      SHP.MULTIPOINTZ,
+    ].includes(shapeType);
+
+    const lengths = shapes.map((shape) =>
+      this.contentLength(shapeType, shape, hasZ)
+    );
+    const byteLength = lengths.reduce((sum, length) => sum + 8 + length, 100);
+
+    const shp = new DataView(new ArrayBuffer(byteLength));
+    const shx = new DataView(new ArrayBuffer(100 + shapes.length * 8));
+    const box = this.bounds(shapes.flatMap((shape) => shape?.flat() ?? []));
+
+    this.writeHeader(shp, shapeType, box);
+    this.writeHeader(shx, shapeType, box);
+
+    let idx = 100;
+
+    shapes.forEach((shape, i) => {
+      shx.setInt32(100 + i * 8, idx / 2, false);
+      shx.setInt32(104 + i * 8, lengths[i] / 2, false);
+
+      shp.setInt32(idx, i + 1, false);
+      shp.setInt32(idx + 4, lengths[i] / 2, false);
+      this.writeShape(shp, idx + 8, shapeType, shape, hasZ);
+
+      idx += 8 + lengths[i];
+    });
+
+    return { shp: shp.buffer, shx: shx.buffer };
+  }
+
+  // Writes the 100-byte header shared by .shp and .shx files
+  static writeHeader(dv: DataView, shapeType: SHP, box: number[]) {
+    dv.setInt32(0, 0x0000270a, false);
+    dv.setInt32(24, dv.byteLength / 2, false);
+    dv.setInt32(28, 1000, true);
+    dv.setInt32(32, shapeType, true);
+
+    // X, Y and Z ranges; the M range stays 0
+    box.forEach((value, i) => dv.setFloat64(36 + i * 8, value, true));
+  }
+
+  // Content length in bytes of a record, without its 8-byte header
+  static contentLength(
+    shapeType: SHP,
+    shape: SHPWriteShape,
+    hasZ: boolean
+  ): number {
+    if (!shape) return 4;
+
+    const pointCount = shape.reduce((sum, part) => sum + part.length, 0);
+    const zLength = hasZ ? 16 + pointCount * 8 : 0;
+
+    switch (shapeType) {
+      case SHP.POINT:
+        return 20;
+      case SHP.POINTZ:
+        return 36;
+      case SHP.MULTIPOINT:
+      case SHP.MULTIPOINTZ:
+        return 40 + pointCount * 16 + zLength;
+      default:
+        return 44 + shape.length * 4 + pointCount * 16 + zLength;
+    }
+  }
+
+  static writeShape(
+    dv: DataView,
+    idx: number,
+    shapeType: SHP,
+    shape: SHPWriteShape,
+    hasZ: boolean
+  ) {
+    if (!shape) {
+      dv.setInt32(idx, SHP.NULL, true);
+      return;
+    }
+
+    dv.setInt32(idx, shapeType, true);
+    idx += 4;
+
+    if (shapeType === SHP.POINT || shapeType === SHP.POINTZ) {
+      const [x, y, z = 0] = shape[0][0];
+
+      dv.setFloat64(idx, x, true);
+      dv.setFloat64(idx + 8, y, true);
+
+      if (hasZ) {
+        dv.setFloat64(idx + 16, z, true);
+        // Below -1e38: "no data" measure
+        dv.setFloat64(idx + 24, -Number.MAX_VALUE, true);
+      }
+      return;
+    }
+
+    const points = shape.flat();
+    const [minX, minY, maxX, maxY, minZ, maxZ] = this.bounds(points);
+
+    [minX, minY, maxX, maxY].forEach((value, i) =>
+      dv.setFloat64(idx + i * 8, value, true)
+    );
+    idx += 32;
+
+    if (shapeType === SHP.MULTIPOINT || shapeType === SHP.MULTIPOINTZ) {
+      dv.setInt32(idx, points.length, true);
+      idx += 4;
+    } else {
+      dv.setInt32(idx, shape.length, true);
+      dv.setInt32(idx + 4, points.length, true);
+      idx += 8;
+
+      let start = 0;
+      for (const part of shape) {
+        dv.setInt32(idx, start, true);
+        start += part.length;
+        idx += 4;
+      }
+    }
+
+    for (const [x, y] of points) {
+      dv.setFloat64(idx, x, true);
+      dv.setFloat64(idx + 8, y, true);
+      idx += 16;
+    }
+
+    if (hasZ) {
+      dv.setFloat64(idx, minZ, true);
+      dv.setFloat64(idx + 8, maxZ, true);
+      idx += 16;
+
+      for (const [, , z = 0] of points) {
+        dv.setFloat64(idx, z, true);
+        idx += 8;
+      }
+    }
+  }
+
+  // [minX, minY, maxX, maxY, minZ, maxZ] of the positions, zeros when empty
+  static bounds(points: Position[]): number[] {
+    if (points.length === 0) return [0, 0, 0, 0, 0, 0];
+
+    let [minX, minY, minZ] = [Infinity, Infinity, Infinity];
+    let [maxX, maxY, maxZ] = [-Infinity, -Infinity, -Infinity];
+
+    for (const [x, y, z = 0] of points) {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      minZ = Math.min(minZ, z);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+      maxZ = Math.max(maxZ, z);
+    }
+
+    return [minX, minY, maxX, maxY, minZ, maxZ];
+  }
+}
+
+class DBFWriter {
+  // Writes a dBase III table with one row per record
+  static write(
+    fields: DBFWriteField[],
+    records: Record<string, unknown>[]
+  ): ArrayBuffer {
+    // GDAL and ArcGIS reject a table without fields: number the records
+    // instead, as OGR does
+    if (fields.length === 0) {
+      const ids = records.map((_, i) => ({ FID: i + 1 }));
+      const fid = this.numericType(ids.map(({ FID }) => FID))!;
+
+      return this.write([{ key: "FID", name: "FID", ...fid }], ids);
+    }
+
+    const bytesInHeader = 32 + fields.length * 32 + 1;
+    const bytesInRecord =
+      1 + fields.reduce((sum, field) => sum + field.fieldLength, 0);
+
+    // Header, records and the end-of-file marker
+    const bytes = new Uint8Array(
+      bytesInHeader + records.length * bytesInRecord + 1
+    );
+    const dv = new DataView(bytes.buffer);
+    const today = new Date();
+
+    // ─── Header ─────────────────────────────────────────────
+    dv.setUint8(0, 0x03);
+    dv.setUint8(1, today.getUTCFullYear() - 1900);
+    dv.setUint8(2, today.getUTCMonth() + 1);
+    dv.setUint8(3, today.getUTCDate());
+    dv.setInt32(4, records.length, true);
+    dv.setUint16(8, bytesInHeader, true);
+    dv.setUint16(10, bytesInRecord, true);
+
+    fields.forEach((field, i) => {
+      const idx = 32 + i * 32;
+
+      bytes.set(encodeText(field.name, 10), idx);
+      dv.setUint8(idx + 11, field.type.charCodeAt(0));
+      dv.setUint8(idx + 16, field.fieldLength);
+      dv.setUint8(idx + 17, field.decimalCount);
+    });
+
+    dv.setUint8(bytesInHeader - 1, 0x0d);
+
+    // ─── Records ────────────────────────────────────────────
+    let idx = bytesInHeader;
+
+    for (const record of records) {
+      bytes[idx++] = 0x20; // not deleted
+
+      for (const field of fields) {
+        const value = this.encodeValue(field, record[field.key]);
+
+        bytes.fill(0x20, idx, idx + field.fieldLength);
+        // Numbers are right-aligned, everything else left-aligned
+        const offset =
+          field.type === "N" ? field.fieldLength - value.length : 0;
+        bytes.set(value, idx + offset);
+
+        idx += field.fieldLength;
+      }
+    }
+
+    bytes[idx] = 0x1a;
+
+    return bytes.buffer;
+  }
+
+  static encodeValue(field: DBFWriteField, value: unknown): Uint8Array {
+    if (value === null || value === undefined) {
+      return encoder.encode(field.type === "L" ? "?" : "");
+    }
+
+    switch (field.type) {
+      case "N":
+        return Number.isFinite(value)
+          ? encoder.encode((value as number).toFixed(field.decimalCount))
+          : new Uint8Array(0);
+      case "L":
+        return encoder.encode(value ? "T" : "F");
+      case "D":
+        return encoder.encode((value as string).replace(/-/g, ""));
+      default:
+        return encodeText(
+          typeof value === "object" ? JSON.stringify(value) : String(value),
+          field.fieldLength
+        );
+    }
+  }
+
+  // Infers a field for every property, in order of first appearance
+  static fields(records: Record<string, unknown>[]): DBFWriteField[] {
+    const keys = new Set<string>();
+    for (const record of records) {
+      for (const key of Object.keys(record)) keys.add(key);
+    }
+
+    const names = new Set<string>();
+
+    return [...keys].map((key) => ({
+      key,
+      name: this.fieldName(key, names),
+      ...this.fieldType(records.map((record) => record[key])),
+    }));
+  }
+
+  // Field names hold at most 10 bytes; names that collide once truncated get
+  // a numeric suffix
+  static fieldName(key: string, names: Set<string>): string {
+    const decoder = new TextDecoder();
+    const base = key || "FIELD";
+    let name = decoder.decode(encodeText(base, 10));
+
+    for (let i = 1; names.has(name.toUpperCase()); i++) {
+      const suffix = `_${i}`;
+      name = decoder.decode(encodeText(base, 10 - suffix.length)) + suffix;
+    }
+
+    names.add(name.toUpperCase());
+    return name;
+  }
+
+  static fieldType(
+    values: unknown[]
+  ): Pick<DBFWriteField, "type" | "fieldLength" | "decimalCount"> {
+    const present = values.filter((v) => v !== null && v !== undefined);
+
+    if (present.length > 0) {
+      if (present.every((v) => typeof v === "boolean")) {
+        return { type: "L", fieldLength: 1, decimalCount: 0 };
+      }
+
+      if (present.every((v) => typeof v === "number")) {
+        const numeric = this.numericType(present as number[]);
+        if (numeric) return numeric;
+      }
+
+      if (present.every((v) => typeof v === "string" && DATE.test(v))) {
+        return { type: "D", fieldLength: 8, decimalCount: 0 };
+      }
+    }
+
+    const text = present.map((v) =>
+      typeof v === "object" ? JSON.stringify(v) : String(v)
+    );
+    const fieldLength = Math.max(
+      1,
+      ...text.map((t) => Math.min(254, encoder.encode(t).length))
+    );
+
+    return { type: "C", fieldLength, decimalCount: 0 };
+  }
+
+  // Narrowest N field holding every value, or undefined when none fits
+  static numericType(
+    values: number[]
+  ): Pick<DBFWriteField, "type" | "fieldLength" | "decimalCount"> | undefined {
+    let integerWidth = 1;
+    let decimalCount = 0;
+
+    for (const value of values.filter(Number.isFinite)) {
+      if (Math.abs(value) >= 1e19) return undefined;
+
+      // toFixed rounds away float noise such as 0.30000000000000004
+      const [integer, fraction = ""] = value
+        .toFixed(MAX_DECIMALS)
+        .replace(/\.?0+$/, "")
+        .split(".");
+
+      integerWidth = Math.max(integerWidth, integer.length);
+      decimalCount = Math.max(decimalCount, fraction.length);
+    }
+
+    if (integerWidth > MAX_NUMBER_WIDTH) return undefined;
+
+    // Give up decimals before integer digits
+    decimalCount = Math.min(
+      decimalCount,
+      Math.max(0, MAX_NUMBER_WIDTH - integerWidth - 1)
+    );
+
+    return {
+      type: "N",
+      fieldLength: integerWidth + (decimalCount > 0 ? decimalCount + 1 : 0),
+      decimalCount,
+    };
+  }
+}
+
+export { SHPWriter, DBFWriter };